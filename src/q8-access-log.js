@@ -0,0 +1,337 @@
+/*
+* Access logs parser for StatsCollector: the median of the last days
+* could be calculated from the existing logs as well.
+*
+* Supported formats:
+* - combined: nginx/Apache combined log with the request time as the last field, e.g. nginx
+*   log_format timed '$remote_addr - $remote_user [$time_local] "$request" $status '
+*                    '$body_bytes_sent "$http_referer" "$http_user_agent" $request_time';
+* - json: JSON lines, paths of the fields are configurable ('request.duration')
+*/
+
+const {StringDecoder} = require('string_decoder')
+const {StatsCollector} = require('./q8')
+
+const LOG_FORMATS = ['combined', 'json']
+
+// the request time unit: nginx $request_time is in seconds, Apache %D is in microseconds
+const DURATION_UNITS = {
+  s: 1000,
+  ms: 1,
+  us: 0.001
+}
+
+const DEFAULT_JSON_FIELDS = {
+  timestamp: 'time',
+  route: 'path',
+  status: 'status',
+  duration: 'duration'
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// ip ident user [time] "request" status bytes "referer" "user agent" ...the rest ending with the request time
+const COMBINED_LINE = /^\S+ \S+ \S+ \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) (?:\d+|-) "(?:[^"\\]|\\.)*" "(?:[^"\\]|\\.)*"(?: .*)? (\d+(?:\.\d+)?)$/
+// 10/Oct/2000:13:55:36 -0700
+const COMBINED_TIME = /^(\d{2})\/([A-Z][a-z]{2})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/
+
+// the most of the route cardinality comes from ids, so numeric path segments are replaced with :id
+function normalizeRoute (path) {
+  return path.split('?')[0].split('/').map(v => /^\d+$/.test(v) ? ':id' : v).join('/')
+}
+
+function parseCombinedTime (str) {
+  const match = COMBINED_TIME.exec(str)
+  if (!match) return NaN
+
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match
+  const monthIndex = MONTHS.indexOf(month)
+  if (monthIndex === -1) return NaN
+
+  const offset = (sign === '-' ? -1 : 1) * (+offsetHours * 60 + +offsetMinutes) * 60 * 1000
+  return Date.UTC(+year, monthIndex, +day, +hours, +minutes, +seconds) - offset
+}
+
+// ISO strings (or anything Date understands) and epoch milliseconds
+function parseTimestamp (value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string') return Date.parse(value)
+
+  return NaN
+}
+
+// numbers and numeric strings, null, booleans and the rest are malformed
+function parseDuration (value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string' && value.trim()) return Number(value)
+
+  return NaN
+}
+
+function getByPath (obj, path) {
+  return path.split('.').reduce((result, key) => (result !== null && typeof result === 'object') ? result[key] : undefined, obj)
+}
+
+class AccessLogParser {
+  constructor ({format = 'combined', fields = {}, durationUnit = (format === 'json') ? 'ms' : 's', route = normalizeRoute} = {}) {
+    if (!LOG_FORMATS.includes(format)) throw new Error('Incorrect format value')
+    if (!DURATION_UNITS[durationUnit]) throw new Error('Incorrect durationUnit value')
+    if (typeof route !== 'function') throw new Error('Incorrect route value')
+    if (!fields || typeof fields !== 'object') throw new Error('Incorrect fields value')
+
+    this.format = format
+    this.fields = Object.assign({}, DEFAULT_JSON_FIELDS, fields)
+    this.durationMultiplier = DURATION_UNITS[durationUnit]
+    this.normalizeRoute = route
+  }
+
+  // sample for StatsCollector or null for a malformed line
+  parseLine (line) {
+    const entry = (this.format === 'json') ? this.parseJsonLine(line) : this.parseCombinedLine(line)
+    if (!entry) return null
+
+    const {timestamp, path, status, duration} = entry
+    const responseTimeMs = duration * this.durationMultiplier
+    if (!Number.isFinite(timestamp) || !Number.isFinite(responseTimeMs) || responseTimeMs < 0 || typeof path !== 'string') return null
+
+    const labels = {route: this.normalizeRoute(path)}
+    if (status !== undefined) labels.status = String(status)
+
+    return {responseTimeMs, timestamp, labels}
+  }
+
+  parseCombinedLine (line) {
+    const match = COMBINED_LINE.exec(line)
+    if (!match) return null
+
+    const [, time, request, status, duration] = match
+    // "GET /users/1 HTTP/1.1"
+    const path = request.split(' ')[1]
+
+    return {timestamp: parseCombinedTime(time), path, status, duration: +duration}
+  }
+
+  parseJsonLine (line) {
+    let json
+    try {
+      json = JSON.parse(line)
+    } catch (err) {
+      return null
+    }
+
+    const status = getByPath(json, this.fields.status)
+    return {
+      timestamp: parseTimestamp(getByPath(json, this.fields.timestamp)),
+      path: getByPath(json, this.fields.route),
+      status: (typeof status === 'number' || typeof status === 'string') ? status : undefined,
+      duration: parseDuration(getByPath(json, this.fields.duration))
+    }
+  }
+}
+
+// Lines of an async iterable of string or Buffer chunks (a readable stream is one). Buffers are UTF-8,
+// a character split between the chunks is decoded once the rest of it comes
+async function * splitLines (source) {
+  const decoder = new StringDecoder('utf8')
+  let rest = ''
+  for await (const chunk of source) {
+    const lines = (rest + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split('\n')
+    rest = lines.pop()
+    for (const line of lines) yield line
+  }
+  rest += decoder.end()
+  if (rest) yield rest
+}
+
+// Parses the log and pushes its samples to the collector. Malformed lines don't stop the run, they are
+// counted and the first maxReported of them are returned (along with onMalformed calls for every one).
+// onSample is called for every parsed sample before it is pushed (e.g. to move the clock of the collector).
+// Samples rejected by the collector (e.g. too many routes) are counted as skipped, the ones older than
+// the retention of the collector (dropped by it) - as outOfWindow
+async function ingestAccessLog (collector, source, {onMalformed = () => {}, onSample = () => {}, maxReported = 10, ...options} = {}) {
+  if (!(collector instanceof StatsCollector)) throw new Error('Incorrect collector value')
+  if (typeof onMalformed !== 'function') throw new Error('Incorrect onMalformed value')
+  if (typeof onSample !== 'function') throw new Error('Incorrect onSample value')
+
+  const parser = new AccessLogParser(options)
+  const report = {lines: 0, pushed: 0, skipped: 0, outOfWindow: 0, malformed: 0, malformedLines: []}
+
+  async function * parse () {
+    for await (const line of splitLines(source)) {
+      const lineNumber = ++report.lines
+      if (!line.trim()) continue
+
+      const sample = parser.parseLine(line.replace(/\r$/, ''))
+      if (sample) {
+        onSample(sample, lineNumber)
+        yield sample
+        continue
+      }
+
+      report.malformed++
+      if (report.malformedLines.length < maxReported) report.malformedLines.push({lineNumber, line})
+      onMalformed(line, lineNumber)
+    }
+  }
+
+  const {pushed, skipped, outOfWindow} = await collector.ingest(parse(), {onInvalid: 'skip'})
+  return Object.assign(report, {pushed, skipped, outOfWindow})
+}
+
+module.exports = {
+  AccessLogParser,
+  ingestAccessLog,
+  splitLines,
+  normalizeRoute
+}
+
+// the module is required by the CLI too, so the tests are defined under mocha only
+const describe = global.describe || (() => {})
+const expect = global.describe && require('chai').expect
+
+// Tests
+
+describe('AccessLogParser.', () => {
+  const combinedLine = '127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /users/42?full=1 HTTP/1.1" 200 2326 "http://example.com/" "Mozilla/5.0 (X11; \\"Linux\\")" 0.125'
+
+  it('should parse the combined log line', () => {
+    const parser = new AccessLogParser()
+
+    expect(parser.parseLine(combinedLine)).to.be.deep.equal({
+      responseTimeMs: 125,
+      timestamp: Date.UTC(2000, 9, 10, 20, 55, 36),
+      labels: {route: '/users/:id', status: '200'}
+    })
+  })
+
+  it('should take the request time from the last field', () => {
+    const parser = new AccessLogParser({durationUnit: 'us'})
+    const line = '::1 - - [01/Jan/2020:00:00:00 +0100] "POST /orders HTTP/2.0" 502 - "-" "curl/7.64.1" upstream=10.0.0.1 250000'
+
+    expect(parser.parseLine(line)).to.be.deep.equal({
+      responseTimeMs: 250,
+      timestamp: Date.UTC(2019, 11, 31, 23, 0, 0),
+      labels: {route: '/orders', status: '502'}
+    })
+  })
+
+  it('should return null for malformed combined lines', () => {
+    const parser = new AccessLogParser()
+
+    expect(parser.parseLine('hello world')).to.be.equal(null)
+    // no request time
+    expect(parser.parseLine(combinedLine.replace(/ 0.125$/, ''))).to.be.equal(null)
+    expect(parser.parseLine(combinedLine.replace('Oct', 'Foo'))).to.be.equal(null)
+    expect(parser.parseLine(combinedLine.replace('"GET /users/42?full=1 HTTP/1.1"', '"-"'))).to.be.equal(null)
+  })
+
+  it('should parse JSON lines with the field paths', () => {
+    const parser = new AccessLogParser({format: 'json', fields: {timestamp: 'ts', route: 'request.uri', duration: 'timing.total'}})
+    const line = JSON.stringify({ts: '2020-01-01T00:00:00.000Z', status: 404, request: {uri: '/a/1'}, timing: {total: 12.5}})
+
+    expect(parser.parseLine(line)).to.be.deep.equal({
+      responseTimeMs: 12.5,
+      timestamp: Date.UTC(2020, 0, 1),
+      labels: {route: '/a/:id', status: '404'}
+    })
+  })
+
+  it('should return null for malformed JSON lines', () => {
+    const parser = new AccessLogParser({format: 'json'})
+
+    expect(parser.parseLine('{"time": 1, ')).to.be.equal(null)
+    expect(parser.parseLine('{"time": 1, "path": "/"}')).to.be.equal(null)
+    expect(parser.parseLine('{"time": "yesterday", "path": "/", "duration": 1}')).to.be.equal(null)
+    expect(parser.parseLine('{"time": 1, "path": "/", "duration": -1}')).to.be.equal(null)
+    expect(parser.parseLine('[1, 2]')).to.be.equal(null)
+    const durations = ['null', '""', '" "', '[]', 'false', 'true', '"1ms"']
+    durations.forEach(v => expect(parser.parseLine(`{"time": 1, "path": "/", "duration": ${v}}`)).to.be.equal(null))
+    expect(parser.parseLine('{"time": 1, "path": "/", "duration": "1.5"}')).to.include({responseTimeMs: 1.5})
+  })
+
+  it('should throw an error on incorrect options', () => {
+    expect(() => new AccessLogParser({format: 'csv'})).to.throw('Incorrect format value')
+    expect(() => new AccessLogParser({durationUnit: 'ns'})).to.throw('Incorrect durationUnit value')
+    expect(() => new AccessLogParser({route: '/'})).to.throw('Incorrect route value')
+  })
+})
+
+describe('splitLines.', () => {
+  it('should split the chunks into lines', async () => {
+    const lines = []
+    for await (const line of splitLines([Buffer.from('a\nb'), 'c\n', '\nd'])) lines.push(line)
+
+    expect(lines).to.be.deep.equal(['a', 'bc', '', 'd'])
+  })
+
+  it('should decode a character split between the chunks', async () => {
+    const bytes = Buffer.from('/caf\u00e9\n/\u00e9')
+    const lines = []
+    // the 2 bytes of the first é go to the different chunks
+    for await (const line of splitLines([bytes.slice(0, 5), bytes.slice(5, 9), bytes.slice(9)])) lines.push(line)
+
+    expect(lines).to.be.deep.equal(['/caf\u00e9', '/\u00e9'])
+  })
+})
+
+describe('ingestAccessLog.', () => {
+  const {Readable} = require('stream')
+  const now = Date.UTC(2020, 0, 2)
+  const lines = [
+    '{"time": "2020-01-01T10:00:00Z", "path": "/a", "status": 200, "duration": 10}',
+    'garbage',
+    '',
+    '{"time": "2020-01-01T11:00:00Z", "path": "/a", "status": 200, "duration": 30}\r',
+    '{"time": "2020-01-01T12:00:00Z", "path": "/b", "status": 500, "duration": 20}'
+  ]
+
+  it('should push the samples to the collector', async () => {
+    const statsCollector = new StatsCollector({clock: () => now})
+    const malformed = []
+    const parsed = []
+
+    const report = await ingestAccessLog(statsCollector, Readable.from([lines.join('\n')]), {
+      format: 'json',
+      onMalformed: (line, lineNumber) => malformed.push(lineNumber),
+      onSample: (sample, lineNumber) => parsed.push(lineNumber)
+    })
+
+    expect(report).to.be.deep.equal({lines: 5, pushed: 3, skipped: 0, outOfWindow: 0, malformed: 1, malformedLines: [{lineNumber: 2, line: 'garbage'}]})
+    expect(malformed).to.be.deep.equal([2])
+    expect(parsed).to.be.deep.equal([1, 4, 5])
+    expect(statsCollector.getMedian()).to.be.equal(20)
+    expect(statsCollector.getAverage(7, {route: '/a'})).to.be.equal(20)
+  })
+
+  it('should report not more than maxReported lines', async () => {
+    const report = await ingestAccessLog(new StatsCollector(), ['a\nb\nc\n'], {maxReported: 2})
+
+    expect(report.malformed).to.be.equal(3)
+    expect(report.malformedLines.map(v => v.line)).to.be.deep.equal(['a', 'b'])
+  })
+
+  it('should count the samples rejected by the collector', async () => {
+    const statsCollector = new StatsCollector({clock: () => now, maxLabelValues: 1})
+
+    const report = await ingestAccessLog(statsCollector, [lines.join('\n')], {format: 'json'})
+
+    expect(report).to.include({pushed: 2, skipped: 1, malformed: 1})
+  })
+
+  it('should count the samples older than the retention', async () => {
+    const statsCollector = new StatsCollector({clock: () => Date.UTC(2020, 0, 10), retentionDays: 7})
+    const recentLine = '{"time": "2020-01-09T10:00:00Z", "path": "/a", "status": 200, "duration": 40}'
+
+    const report = await ingestAccessLog(statsCollector, [lines.concat(recentLine).join('\n')], {format: 'json'})
+
+    expect(report).to.include({pushed: 1, skipped: 0, outOfWindow: 3, malformed: 1})
+    expect(statsCollector.length).to.be.equal(1)
+  })
+
+  it('should reject an incorrect collector', async () => {
+    const error = await ingestAccessLog({}, []).catch(err => err)
+
+    expect(error.message).to.be.equal('Incorrect collector value')
+    expect((await ingestAccessLog(new StatsCollector(), [], {onSample: 1}).catch(err => err)).message).to.be.equal('Incorrect onSample value')
+  })
+})
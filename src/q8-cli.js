@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/*
+* unity-stats: response time report of StatsCollector from stdin or files.
+*
+*   unity-stats [options] [file ...]
+*
+* Without files (or with "-") stdin is read. Input is one response time (ms) per line
+* or an access log (see q8-access-log.js) with --log-format. The report of an access log
+* ends at its newest sample, so old logs are reported as well.
+*/
+
+const fs = require('fs')
+const {StatsCollector} = require('./q8')
+const {ingestAccessLog, splitLines} = require('./q8-access-log')
+
+const USAGE = `Usage: unity-stats [options] [file ...]
+
+Options:
+  --days N              window of the report in days (default 7)
+  --format FORMAT       table, json or csv (default table)
+  --group-by LABEL      a row per value of the label (route or status), requires an access log;
+                        quantiles of the groups are approximate (1%)
+  --percentiles LIST    comma separated percentiles (default 90,95,99)
+  --log-format FORMAT   plain (a response time per line), combined or json (default plain)
+  --duration-unit UNIT  request time unit of the access log: s, ms or us
+  -h, --help            show this help
+`
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv']
+const INPUT_FORMATS = ['plain', 'combined', 'json']
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2
+}
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  '--days': 'days',
+  '--format': 'format',
+  '--group-by': 'groupBy',
+  '--percentiles': 'percentiles',
+  '--log-format': 'logFormat',
+  '--duration-unit': 'durationUnit'
+}
+
+// --name value and --name=value are both fine
+function parseArgs (argv) {
+  const args = {days: '7', format: 'table', percentiles: '90,95,99', logFormat: 'plain', files: [], help: false}
+
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inlineValue] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/) : [argv[i]]
+
+    if (name === '-h' || name === '--help') {
+      args.help = true
+    } else if (OPTIONS[name]) {
+      const value = (inlineValue !== undefined) ? inlineValue : argv[++i]
+      if (value === undefined) throw new UsageError(`Missing value of ${name}`)
+      args[OPTIONS[name]] = value
+    } else if (name.startsWith('-') && name !== '-') {
+      throw new UsageError(`Unknown option ${name}`)
+    } else {
+      args.files.push(name)
+    }
+  }
+
+  const days = Number(args.days)
+  if (!Number.isFinite(days) || days <= 0) throw new UsageError('Incorrect --days value')
+  if (!OUTPUT_FORMATS.includes(args.format)) throw new UsageError('Incorrect --format value')
+  if (!INPUT_FORMATS.includes(args.logFormat)) throw new UsageError('Incorrect --log-format value')
+  if (args.groupBy !== undefined && args.logFormat === 'plain') throw new UsageError('--group-by requires --log-format combined or json')
+
+  const percentiles = args.percentiles.split(',').filter(v => v.trim()).map(Number)
+  if (percentiles.some(p => !Number.isFinite(p) || p < 0 || p > 100)) throw new UsageError('Incorrect --percentiles value')
+
+  return Object.assign(args, {days, percentiles})
+}
+
+async function * readInputs (files, stdin) {
+  const inputs = files.length ? files : ['-']
+  for (const file of inputs) {
+    const input = (file === '-') ? stdin : fs.createReadStream(file)
+    for await (const chunk of input) yield chunk
+  }
+}
+
+async function * parsePlainLines (source) {
+  for await (const line of splitLines(source)) {
+    if (line.trim()) yield Number(line)
+  }
+}
+
+// Rows of the report: the whole window or a row per value of the groupBy label. The window is taken
+// once, so the columns of the rows cover the same samples while the clock goes on
+function createReport (collector, {days, percentiles, groupBy}) {
+  const range = collector.getRange(days)
+  const createRow = labels => {
+    const {length} = collector.getTotals(range, labels)
+    const values = collector.getPercentiles(percentiles, range, labels)
+
+    return Object.assign({
+      count: length,
+      median: collector.getMedian(range, labels),
+      average: collector.getAverage(range, labels)
+    }, ...percentiles.map((p, i) => ({[`p${p}`]: values[i]})))
+  }
+
+  if (groupBy === undefined) return [createRow()]
+
+  return collector.groupBy(groupBy, range)
+    .map(v => Object.assign({[groupBy]: v.labels[groupBy]}, createRow(v.labels)))
+    .sort((a, b) => b.count - a.count)
+}
+
+function formatNumber (value) {
+  if (typeof value !== 'number') return value
+  if (Number.isNaN(value)) return '-'
+
+  return String(Math.round(value * 100) / 100)
+}
+
+function formatReport (rows, format) {
+  if (format === 'json') return JSON.stringify(rows, null, 2) + '\n'
+
+  const columns = Object.keys(rows[0] || {count: 0})
+  const lines = [columns].concat(rows.map(row => columns.map(column => formatNumber(row[column]))))
+
+  if (format === 'csv') {
+    const escape = v => /[",\n]/.test(v) ? `"${String(v).replace(/"/g, '""')}"` : v
+    return lines.map(line => line.map(escape).join(',')).join('\n') + '\n'
+  }
+
+  // text columns are aligned to the left, numbers - to the right
+  const widths = columns.map((column, i) => Math.max(...lines.map(line => String(line[i]).length)))
+  const isText = columns.map(column => rows.some(row => typeof row[column] === 'string'))
+  return lines
+    .map(line => line.map((v, i) => isText[i] ? String(v).padEnd(widths[i]) : String(v).padStart(widths[i])).join('  ').trimRight())
+    .join('\n') + '\n'
+}
+
+// returns the exit code, streams are injected for the tests
+async function main (argv, {stdin, stdout, stderr}) {
+  let args
+  try {
+    args = parseArgs(argv)
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`)
+    return EXIT_CODES.usage
+  }
+
+  if (args.help) {
+    stdout.write(USAGE)
+    return EXIT_CODES.ok
+  }
+
+  // The clock of a log is its newest sample, the wall clock would evict the samples of an old log.
+  // Older samples would be evicted on push, so the retention covers the whole window
+  const latest = {timestamp: 0}
+  const clock = (args.logFormat === 'plain') ? Date.now : () => latest.timestamp
+  const collector = new StatsCollector({retentionDays: Math.max(args.days, 7), clock})
+  const source = readInputs(args.files, stdin)
+
+  try {
+    if (args.logFormat === 'plain') {
+      const {skipped} = await collector.ingest(parsePlainLines(source), {onInvalid: 'skip'})
+      if (skipped) stderr.write(`${skipped} malformed lines skipped\n`)
+    } else {
+      const options = {
+        format: args.logFormat,
+        onSample: ({timestamp}) => {
+          latest.timestamp = Math.max(latest.timestamp, timestamp)
+        }
+      }
+      if (args.durationUnit !== undefined) options.durationUnit = args.durationUnit
+      const {malformed, skipped, outOfWindow} = await ingestAccessLog(collector, source, options)
+      if (malformed) stderr.write(`${malformed} malformed lines skipped\n`)
+      if (skipped) stderr.write(`${skipped} samples rejected by the collector\n`)
+      if (outOfWindow) stderr.write(`${outOfWindow} samples older than the retention dropped\n`)
+    }
+
+    stdout.write(formatReport(createReport(collector, args), args.format))
+    return EXIT_CODES.ok
+  } catch (err) {
+    stderr.write(`${err.message}\n`)
+    return EXIT_CODES.error
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2), process).then(code => {
+    process.exitCode = code
+  })
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  createReport,
+  formatReport
+}
+
+// the tests are defined under mocha only
+const describe = global.describe || (() => {})
+const expect = global.describe && require('chai').expect
+
+// Tests
+
+describe('unity-stats.', () => {
+  const os = require('os')
+  const path = require('path')
+  const {Readable} = require('stream')
+
+  async function run (argv, input = '') {
+    const output = {stdout: '', stderr: ''}
+    const code = await main(argv, {
+      stdin: Readable.from([input]),
+      stdout: {write: v => { output.stdout += v }},
+      stderr: {write: v => { output.stderr += v }}
+    })
+
+    return Object.assign(output, {code})
+  }
+
+  describe('parseArgs.', () => {
+    it('should parse the options and files', () => {
+      const args = parseArgs(['--days', '1', '--format=csv', 'a.log', '-', '--percentiles', '50,99.9'])
+
+      expect(args).to.include({days: 1, format: 'csv', logFormat: 'plain', help: false})
+      expect(args.files).to.be.deep.equal(['a.log', '-'])
+      expect(args.percentiles).to.be.deep.equal([50, 99.9])
+    })
+
+    it('should throw an error on incorrect options', () => {
+      expect(() => parseArgs(['--days', '-1'])).to.throw('Incorrect --days value')
+      expect(() => parseArgs(['--days', '0'])).to.throw('Incorrect --days value')
+      expect(() => parseArgs(['--days'])).to.throw('Missing value of --days')
+      expect(() => parseArgs(['--format', 'xml'])).to.throw('Incorrect --format value')
+      expect(() => parseArgs(['--percentiles', '101'])).to.throw('Incorrect --percentiles value')
+      expect(() => parseArgs(['--group-by', 'route'])).to.throw('--group-by requires --log-format combined or json')
+      expect(() => parseArgs(['-x'])).to.throw('Unknown option -x')
+    })
+  })
+
+  describe('formatReport.', () => {
+    const rows = [{route: '/a', count: 2, median: 1.006}, {route: '/b,c', count: 10, median: NaN}]
+
+    it('should align the table columns', () => {
+      expect(formatReport(rows, 'table')).to.be.equal([
+        'route  count  median',
+        '/a         2    1.01',
+        '/b,c      10       -',
+        ''
+      ].join('\n'))
+    })
+
+    it('should escape csv values', () => {
+      expect(formatReport(rows, 'csv')).to.be.equal('route,count,median\n/a,2,1.01\n"/b,c",10,-\n')
+    })
+  })
+
+  describe('createReport.', () => {
+    it('should take the window once for all the columns', () => {
+      const minute = 60 * 1000
+      let now = 600 * minute
+      // every query moves the clock
+      const collector = new StatsCollector({clock: () => (now += 20 * minute)})
+      collector.pushValues([1, 2, 3], {timestamp: now})
+
+      expect(createReport(collector, {days: 1 / 24, percentiles: [50]})).to.be.deep.equal([{count: 3, median: 2, average: 2, p50: 2}])
+    })
+  })
+
+  it('should report the values of stdin', async () => {
+    const {code, stdout, stderr} = await run(['--format', 'json', '--percentiles', '90'], '1\n2\n3\nfoo\n\n4\n')
+
+    expect(code).to.be.equal(0)
+    expect(JSON.parse(stdout)).to.be.deep.equal([{count: 4, median: 2.5, average: 2.5, p90: 3.7}])
+    expect(stderr).to.be.equal('1 malformed lines skipped\n')
+  })
+
+  it('should count the values over the timeout', async () => {
+    const {stdout} = await run(['--format', 'json', '--percentiles', ''], '100\n20000\n19000\n')
+
+    expect(JSON.parse(stdout)).to.be.deep.equal([{count: 3, median: 19000, average: 13033.333333333334}])
+  })
+
+  it('should group the access log by route', async () => {
+    const now = Date.now()
+    const line = (path, duration, age = 0) => JSON.stringify({time: now - age, path, status: 200, duration})
+    const input = [line('/a', 20), line('/a', 20), line('/b', 5), line('/b', 7, 2 * 24 * 3600 * 1000)].join('\n')
+
+    const {code, stdout} = await run(['--log-format', 'json', '--group-by', 'route', '--days', '1', '--format', 'csv', '--percentiles', ''], input)
+
+    expect(code).to.be.equal(0)
+    expect(stdout).to.be.equal('route,count,median,average\n/a,2,20,20\n/b,1,5,5\n')
+  })
+
+  it('should report the log up to its newest sample', async () => {
+    const day = 24 * 3600 * 1000
+    const newest = Date.UTC(2020, 0, 10)
+    const line = (duration, age) => JSON.stringify({time: newest - age, path: '/a', status: 200, duration})
+    const input = [line(10, day), line(1000, 8 * day), line(20, 0), line(30, 2 * day)].join('\n')
+
+    const {code, stdout, stderr} = await run(['--log-format', 'json', '--days', '1', '--format', 'json', '--percentiles', ''], input)
+
+    expect(code).to.be.equal(0)
+    expect(JSON.parse(stdout)).to.be.deep.equal([{count: 2, median: 15, average: 15}])
+    // the sample 8 days before the newest one is out of the 7 days retention
+    expect(stderr).to.be.equal('1 samples older than the retention dropped\n')
+  })
+
+  it('should read the files', async () => {
+    const file = path.join(os.tmpdir(), `unity-stats-${process.pid}.log`)
+    fs.writeFileSync(file, '100\n300\n')
+
+    const {stdout} = await run(['--percentiles', '50', file, file])
+    fs.unlinkSync(file)
+
+    expect(stdout).to.be.equal('count  median  average  p50\n    4     200      200  200\n')
+  })
+
+  it('should fail on a missing file', async () => {
+    const {code, stderr} = await run(['no-such-file.log'])
+
+    expect(code).to.be.equal(1)
+    expect(stderr).to.include('ENOENT')
+  })
+
+  it('should print the usage', async () => {
+    expect((await run(['--help'])).stdout).to.be.equal(USAGE)
+
+    const {code, stderr} = await run(['--format', 'xml'])
+    expect(code).to.be.equal(2)
+    expect(stderr).to.be.equal(`Incorrect --format value\n\n${USAGE}`)
+  })
+})
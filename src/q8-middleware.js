@@ -0,0 +1,246 @@
+/*
+* Response time recording for the application servers: every request is timed
+* with process.hrtime and pushed to a shared StatsCollector with route and status labels.
+*
+*   http.createServer(instrument(handler, collector))
+*   app.use(createMiddleware(collector))  // Connect/Express
+*/
+
+const {StatsCollector, RESPONSE_TIMEOUT} = require('./q8')
+const {normalizeRoute} = require('./q8-access-log')
+
+// Express knows the matched route pattern once the request is handled, the rest is taken from the url
+function getRoute (req) {
+  if (req.route && typeof req.route.path === 'string') return (req.baseUrl || '') + req.route.path
+
+  return normalizeRoute(req.originalUrl || req.url || '')
+}
+
+function getElapsedMs (hrtime, start) {
+  const [seconds, nanoseconds] = hrtime(start)
+  return seconds * 1000 + nanoseconds / 1e6
+}
+
+// Connect/Express middleware. A request is recorded once:
+// - finished response: its time with the route and the status code,
+// - no response in timeout ms: a timeout of the route (a later response isn't recorded),
+// - aborted by the client before the response: not pushed, counted in middleware.stats.aborted.
+// Errors of the collector (e.g. too many routes) don't reach the server, they are counted and passed to onError
+// (the errors of onError itself are ignored)
+function createMiddleware (collector, {
+  route = getRoute,
+  timeout = RESPONSE_TIMEOUT,
+  onError = () => {},
+  hrtime = process.hrtime,
+  timers = {setTimeout, clearTimeout}
+} = {}) {
+  if (!(collector instanceof StatsCollector)) throw new Error('Incorrect collector value')
+  if (typeof route !== 'function') throw new Error('Incorrect route value')
+  if (!Number.isFinite(timeout) || timeout <= 0) throw new Error('Incorrect timeout value')
+  if (typeof onError !== 'function') throw new Error('Incorrect onError value')
+
+  const stats = {recorded: 0, timeouts: 0, aborted: 0, errors: 0}
+
+  // the counter of the outcome is incremented once the sample is pushed
+  const record = (counter, push) => {
+    try {
+      push()
+      stats[counter]++
+    } catch (err) {
+      stats.errors++
+      // it's called from the response events and the timer, a throw there would crash the server
+      try {
+        onError(err)
+      } catch (hookError) {}
+    }
+  }
+
+  const middleware = (req, res, next) => {
+    const start = hrtime()
+    let isDone = false
+
+    const done = () => {
+      isDone = true
+      timers.clearTimeout(timer)
+      res.removeListener('finish', onFinish)
+      res.removeListener('close', onClose)
+    }
+
+    const onFinish = () => {
+      if (isDone) return
+      done()
+      record('recorded', () => collector.pushValue(getElapsedMs(hrtime, start), {route: route(req), status: res.statusCode}))
+    }
+
+    // close without finish means the connection was closed before the response was sent
+    const onClose = () => {
+      if (isDone) return
+      done()
+      stats.aborted++
+    }
+
+    const timer = timers.setTimeout(() => {
+      if (isDone) return
+      done()
+      record('timeouts', () => collector.pushTimeout({route: route(req)}))
+    }, timeout)
+    if (timer && timer.unref) timer.unref()
+
+    res.on('finish', onFinish)
+    res.on('close', onClose)
+
+    if (next) next()
+  }
+
+  middleware.stats = stats
+  return middleware
+}
+
+// the same for a plain http server handler
+function instrument (handler, collector, options) {
+  if (typeof handler !== 'function') throw new Error('Incorrect handler value')
+  const middleware = createMiddleware(collector, options)
+
+  const instrumented = (req, res) => middleware(req, res, () => handler(req, res))
+  instrumented.stats = middleware.stats
+  return instrumented
+}
+
+module.exports = {
+  createMiddleware,
+  instrument,
+  getRoute
+}
+
+// the tests are defined under mocha only
+const describe = global.describe || (() => {})
+const expect = global.describe && require('chai').expect
+
+// Tests
+
+describe('createMiddleware.', () => {
+  const EventEmitter = require('events')
+  const http = require('http')
+  const {DAY} = require('./q8')
+
+  function createContext (options) {
+    const statsCollector = new StatsCollector({clock: () => DAY})
+    let elapsed = [0, 0]
+    const timeouts = []
+    const middleware = createMiddleware(statsCollector, Object.assign({
+      hrtime: start => start ? elapsed : [0, 0],
+      timers: {
+        setTimeout: (fn, ms) => timeouts.push({fn, ms}) - 1,
+        clearTimeout: id => { timeouts[id] = null }
+      }
+    }, options))
+    const request = (url = '/users/1') => {
+      const req = {method: 'GET', url}
+      const res = Object.assign(new EventEmitter(), {statusCode: 200})
+      middleware(req, res, () => {})
+      return {req, res}
+    }
+
+    return {statsCollector, middleware, timeouts, request, setElapsed: value => { elapsed = value }}
+  }
+
+  it('should record the response time with labels', () => {
+    const {statsCollector, middleware, request, setElapsed} = createContext()
+    const {res} = request('/users/1?full=1')
+
+    setElapsed([1, 250000000])
+    res.statusCode = 404
+    res.emit('finish')
+    res.emit('close')
+
+    expect(statsCollector.data).to.be.deep.equal([1250])
+    expect(statsCollector.groupBy('route').map(v => v.labels)).to.be.deep.equal([{route: '/users/:id'}])
+    expect(statsCollector.getTotals(7, {status: 404}).length).to.be.equal(1)
+    expect(middleware.stats).to.be.deep.equal({recorded: 1, timeouts: 0, aborted: 0, errors: 0})
+  })
+
+  it('should use the Express route', () => {
+    const {statsCollector, request} = createContext()
+    const {req, res} = request('/api/users/abc')
+    Object.assign(req, {baseUrl: '/api', route: {path: '/users/:name'}})
+
+    res.emit('finish')
+
+    expect(statsCollector.groupBy('route').map(v => v.labels.route)).to.be.deep.equal(['/api/users/:name'])
+  })
+
+  it('should record a timeout once', () => {
+    const {statsCollector, middleware, timeouts, request} = createContext()
+    const {res} = request()
+
+    expect(timeouts[0].ms).to.be.equal(RESPONSE_TIMEOUT)
+    timeouts[0].fn()
+    res.emit('finish')
+
+    expect(statsCollector.length).to.be.equal(0)
+    expect(statsCollector.getTimeoutsCount(7, {route: '/users/:id'})).to.be.equal(1)
+    expect(middleware.stats).to.include({recorded: 0, timeouts: 1})
+  })
+
+  it('should not record aborted requests', () => {
+    const {statsCollector, middleware, timeouts, request} = createContext()
+    const {res} = request()
+
+    res.emit('close')
+
+    expect(timeouts[0]).to.be.equal(null)
+    expect(statsCollector.length + statsCollector.timeoutsCount).to.be.equal(0)
+    expect(middleware.stats).to.include({aborted: 1})
+  })
+
+  it('should pass the collector errors to onError', () => {
+    const errors = []
+    const {statsCollector, middleware, request} = createContext({onError: err => errors.push(err.message)})
+    statsCollector.maxLabelValues = 1
+
+    request('/a').res.emit('finish')
+    request('/b').res.emit('finish')
+
+    expect(errors).to.be.deep.equal(['Too many values of label "route"'])
+    expect(middleware.stats).to.include({recorded: 1, errors: 1})
+  })
+
+  it('should ignore the errors of onError', () => {
+    const {statsCollector, middleware, timeouts, request} = createContext({onError: () => { throw new Error('onError') }})
+    statsCollector.maxLabelValues = 1
+
+    request('/a').res.emit('finish')
+    expect(() => request('/b').res.emit('finish')).to.not.throw()
+    request('/c')
+    expect(() => timeouts[2].fn()).to.not.throw()
+
+    expect(middleware.stats).to.include({recorded: 1, timeouts: 0, errors: 2})
+  })
+
+  it('should throw an error on incorrect options', () => {
+    expect(() => createMiddleware({})).to.throw('Incorrect collector value')
+    expect(() => createMiddleware(new StatsCollector(), {timeout: 0})).to.throw('Incorrect timeout value')
+    expect(() => instrument(null, new StatsCollector())).to.throw('Incorrect handler value')
+  })
+
+  it('should time the requests of the http server', async () => {
+    const statsCollector = new StatsCollector()
+    const server = http.createServer(instrument((req, res) => {
+      res.statusCode = 201
+      setTimeout(() => res.end('ok'), 20)
+    }, statsCollector))
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    try {
+      await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}/orders/7`, res => res.resume().on('end', resolve)).on('error', reject)
+      })
+    } finally {
+      server.close()
+    }
+
+    expect(statsCollector.length).to.be.equal(1)
+    expect(statsCollector.data[0]).to.be.within(15, 1000)
+    expect(statsCollector.groupBy('status').map(v => v.labels)).to.be.deep.equal([{status: '201'}])
+  })
+})
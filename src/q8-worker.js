@@ -0,0 +1,304 @@
+/*
+* StatsCollector in a worker thread: sorting a week of samples doesn't block
+* the event loop of the server which records the latencies.
+*
+*   const collector = new WorkerStatsCollector({retentionDays: 7})
+*   collector.pushValue(123, {route: '/users'})
+*   const median = await collector.getMedian(7)
+*
+* Samples are validated in the main thread and sent to the worker in batches,
+* queries are messages answered with the result (or the error message).
+*/
+
+const {Worker, isMainThread, parentPort, workerData} = require('worker_threads')
+const {StatsCollector, validateSample, validateTimeout} = require('./q8')
+
+// StatsCollector methods answered by the worker, their results are structured-cloned
+const QUERY_METHODS = [
+  'getMedian',
+  'getAverage',
+  'getPercentile',
+  'getPercentiles',
+  'getSummary',
+  'getTotals',
+  'getTimeoutsCount',
+  'getTimeoutRate',
+  'groupBy',
+  'getEwma',
+  'getSlidingAverage',
+  'toPrometheus'
+]
+
+// Back-pressure works the same way as stream.write(): pushValue returns false once highWaterMark samples
+// aren't processed by the worker yet and drain() resolves when the worker catches up (half of highWaterMark).
+// Samples over maxPending are dropped and counted in droppedCount, so a stuck worker can't exhaust the memory
+class WorkerStatsCollector {
+  constructor (options = {}, {batchSize = 1024, highWaterMark = 100000, maxPending = highWaterMark * 10} = {}) {
+    if (options.clock !== undefined) throw new Error('clock option is not supported in the worker')
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error('Incorrect batchSize value')
+    if (!Number.isInteger(highWaterMark) || highWaterMark < 1) throw new Error('Incorrect highWaterMark value')
+    if (!Number.isInteger(maxPending) || maxPending < highWaterMark) throw new Error('Incorrect maxPending value')
+
+    this.batchSize = batchSize
+    this.highWaterMark = highWaterMark
+    this.maxPending = maxPending
+    this.batch = []
+    this.flushScheduled = false
+    // samples sent or buffered, but not processed by the worker yet
+    this.pending = 0
+    this.droppedCount = 0
+    this.skippedCount = 0
+    this.drainWaiters = []
+    this.queries = new Map()
+    this.nextQueryId = 0
+    this.error = null
+
+    this.worker = new Worker(__filename, {workerData: {isStatsWorker: true, options}})
+    this.worker.on('message', message => this.onMessage(message))
+    this.worker.on('error', err => this.fail(err))
+    this.worker.on('exit', code => this.fail(new Error(`Worker stopped with exit code ${code}`)))
+  }
+
+  // returns false when the worker falls behind (see drain)
+  pushValue (responseTimeMs, timestamp, labels) {
+    if (timestamp !== null && typeof timestamp === 'object') [timestamp, labels] = [labels, timestamp]
+    if (timestamp === undefined) timestamp = Date.now()
+
+    validateSample(responseTimeMs, timestamp, labels)
+    return this.enqueue({responseTimeMs, timestamp, labels})
+  }
+
+  pushTimeout (timestamp, labels) {
+    if (timestamp !== null && typeof timestamp === 'object') [timestamp, labels] = [labels, timestamp]
+    if (timestamp === undefined) timestamp = Date.now()
+
+    validateTimeout(timestamp, labels)
+    return this.enqueue({timestamp, labels, timeout: true})
+  }
+
+  // the sample is in the format of StatsCollector.pushValues
+  enqueue (sample) {
+    if (this.error) throw this.error
+
+    if (this.pending >= this.maxPending) {
+      this.droppedCount++
+      return false
+    }
+
+    this.batch.push(sample)
+    this.pending++
+    if (this.batch.length >= this.batchSize) this.flush()
+    else this.scheduleFlush()
+
+    return this.pending < this.highWaterMark
+  }
+
+  // the rest of the batch is sent on the next turn of the event loop
+  scheduleFlush () {
+    if (this.flushScheduled) return
+    this.flushScheduled = true
+    setImmediate(() => this.flush())
+  }
+
+  flush () {
+    this.flushScheduled = false
+    if (!this.batch.length || this.error) return
+
+    this.worker.postMessage({type: 'push', samples: this.batch})
+    this.batch = []
+  }
+
+  drain () {
+    if (this.error) return Promise.reject(this.error)
+    if (this.pending < this.highWaterMark) return Promise.resolve()
+
+    return new Promise((resolve, reject) => this.drainWaiters.push({resolve, reject}))
+  }
+
+  // samples pushed before the query are always counted: the batch is sent first and messages keep their order
+  query (method, args) {
+    if (this.error) return Promise.reject(this.error)
+    this.flush()
+
+    const id = this.nextQueryId++
+    return new Promise((resolve, reject) => {
+      this.queries.set(id, {resolve, reject})
+      this.worker.postMessage({type: 'query', id, method, args})
+    })
+  }
+
+  onMessage (message) {
+    if (message.type === 'ack') {
+      this.pending -= message.count
+      this.skippedCount += message.skipped
+
+      if (this.pending <= this.highWaterMark / 2) {
+        this.drainWaiters.forEach(v => v.resolve())
+        this.drainWaiters = []
+      }
+      return
+    }
+
+    const query = this.queries.get(message.id)
+    this.queries.delete(message.id)
+    if (message.error !== undefined) query.reject(new Error(message.error))
+    else query.resolve(message.result)
+  }
+
+  fail (err) {
+    if (this.error) return
+    this.error = err
+
+    this.queries.forEach(v => v.reject(err))
+    this.queries.clear()
+    this.drainWaiters.forEach(v => v.reject(err))
+    this.drainWaiters = []
+  }
+
+  // the buffered samples are processed before the worker is stopped
+  async close () {
+    if (this.error) return
+
+    await this.query('getTotals', [])
+    this.fail(new Error('Collector is closed'))
+    await this.worker.terminate()
+  }
+}
+
+QUERY_METHODS.forEach(method => {
+  WorkerStatsCollector.prototype[method] = function (...args) {
+    return this.query(method, args)
+  }
+})
+
+function runWorker ({options}) {
+  const collector = new StatsCollector(options)
+
+  parentPort.on('message', message => {
+    if (message.type === 'push') {
+      // samples are validated in the main thread, but e.g. the label values limit is known here only
+      const {skipped} = collector.pushValues(message.samples, {onInvalid: 'skip'})
+      parentPort.postMessage({type: 'ack', count: message.samples.length, skipped})
+      return
+    }
+
+    try {
+      if (!QUERY_METHODS.includes(message.method)) throw new Error(`Unknown method ${message.method}`)
+      parentPort.postMessage({type: 'result', id: message.id, result: collector[message.method](...message.args)})
+    } catch (err) {
+      parentPort.postMessage({type: 'result', id: message.id, error: err.message})
+    }
+  })
+}
+
+if (!isMainThread && workerData && workerData.isStatsWorker) runWorker(workerData)
+
+module.exports = {
+  WorkerStatsCollector,
+  QUERY_METHODS
+}
+
+// the tests are defined under mocha only
+const describe = global.describe || (() => {})
+const expect = global.describe && require('chai').expect
+
+// Tests
+
+describe('WorkerStatsCollector.', () => {
+  let collector = null
+
+  afterEach(async () => {
+    if (collector) await collector.close()
+    collector = null
+  })
+
+  it('should answer the queries in the worker', async () => {
+    collector = new WorkerStatsCollector()
+    const values = [5, 1, 4, 2, 3, 6]
+    values.forEach(v => collector.pushValue(v, {route: v % 2 ? '/odd' : '/even'}))
+    collector.pushTimeout()
+
+    expect(await collector.getMedian(7)).to.be.equal(3.5)
+    expect(await collector.getPercentiles([0, 100])).to.be.deep.equal([1, 6])
+    expect(await collector.getTimeoutsCount()).to.be.equal(1)
+    expect((await collector.groupBy('route')).map(v => v.count)).to.be.deep.equal([3, 3])
+  })
+
+  it('should keep the values over the timeout as samples', async () => {
+    collector = new WorkerStatsCollector()
+    collector.pushValue(25000)
+    collector.pushTimeout({route: '/a'})
+
+    expect(await collector.getTotals()).to.include({length: 1, sum: 25000})
+    expect(await collector.getTimeoutsCount(7, {route: '/a'})).to.be.equal(1)
+  })
+
+  it('should send the samples in batches', async () => {
+    collector = new WorkerStatsCollector({}, {batchSize: 2})
+    const postMessage = collector.worker.postMessage.bind(collector.worker)
+    const batches = []
+    collector.worker.postMessage = message => {
+      if (message.type === 'push') batches.push(message.samples.length)
+      postMessage(message)
+    }
+
+    for (let i = 0; i < 5; i++) collector.pushValue(i)
+
+    expect(await collector.getTotals()).to.include({length: 5})
+    expect(batches).to.be.deep.equal([2, 2, 1])
+  })
+
+  it('should reject the failed queries', async () => {
+    collector = new WorkerStatsCollector()
+
+    const error = await collector.getMedian(-1).catch(err => err)
+
+    expect(error.message).to.be.equal('Negative days not allowed')
+  })
+
+  it('should validate the samples in the main thread', () => {
+    collector = new WorkerStatsCollector()
+
+    expect(() => collector.pushValue(-1)).to.throw('Negative responseTimeMs not allowed')
+    expect(() => collector.pushValue(NaN)).to.throw('Incorrect responseTimeMs value')
+    expect(collector.pending).to.be.equal(0)
+  })
+
+  it('should signal back-pressure and drain', async () => {
+    collector = new WorkerStatsCollector({}, {batchSize: 2, highWaterMark: 4, maxPending: 5})
+
+    const results = [1, 2, 3, 4, 5, 6].map(v => collector.pushValue(v))
+    expect(results).to.be.deep.equal([true, true, true, false, false, false])
+    expect(collector.droppedCount).to.be.equal(1)
+
+    await collector.drain()
+    expect(collector.pending).to.be.at.most(2)
+    expect(collector.pushValue(7)).to.be.equal(true)
+    expect((await collector.getTotals()).length).to.be.equal(6)
+  })
+
+  it('should count the samples skipped by the worker', async () => {
+    collector = new WorkerStatsCollector({maxLabelValues: 1})
+    collector.pushValue(1, {route: '/a'})
+    collector.pushValue(2, {route: '/b'})
+
+    expect((await collector.getTotals()).length).to.be.equal(1)
+    expect(collector.skippedCount).to.be.equal(1)
+  })
+
+  it('should reject after close', async () => {
+    const closed = new WorkerStatsCollector()
+    closed.pushValue(1)
+    await closed.close()
+
+    const error = await closed.getMedian().catch(err => err)
+    expect(error.message).to.be.equal('Collector is closed')
+    expect(() => closed.pushValue(1)).to.throw('Collector is closed')
+  })
+
+  it('should throw an error on incorrect options', () => {
+    expect(() => new WorkerStatsCollector({clock: Date.now})).to.throw('clock option is not supported in the worker')
+    expect(() => new WorkerStatsCollector({}, {batchSize: 0})).to.throw('Incorrect batchSize value')
+    expect(() => new WorkerStatsCollector({}, {highWaterMark: 10, maxPending: 5})).to.throw('Incorrect maxPending value')
+  })
+})
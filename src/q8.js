@@ -10,426 +10,4041 @@
 * 2. Write tests (below StatsCollector)
 */
 
+const fs = require('fs')
+const {promisify} = require('util')
+
 const SECOND = 1000
 const MINUTE = SECOND * 60
 const HOUR = MINUTE * 60
 const DAY = HOUR * 24
-const REQUESTS_PER_SECOND = 20000
+const RESPONSE_TIMEOUT = 19000
+
+// samples are stored in chunks of 512 (2 ** 9) samples, so evicted samples free memory in small steps
+const SAMPLE_CHUNK_BITS = 9
+const SAMPLE_CHUNK_SIZE = 1 << SAMPLE_CHUNK_BITS
+
+// minute buckets are the most numerous ones, so they are kept for 1 day only
+const DEFAULT_ROLLUPS = [
+  {resolution: MINUTE, retentionDays: 1},
+  {resolution: HOUR},
+  {resolution: DAY}
+]
+
+const FILE_MAGIC = 'USC1'
+
+// the largest value of Uint32Array, about 50 days
+const MAX_INTEGER_MS = 0xFFFFFFFF
+
+// upper bounds (ms) of the exposed histogram buckets, +Inf is always added
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, RESPONSE_TIMEOUT]
+const DEFAULT_QUANTILES = [0.5, 0.9, 0.99]
+const METRIC_TYPES = ['summary', 'histogram']
+
+// the smoothed averages maintained on every pushValue (see getEwma and getSlidingAverage)
+const DEFAULT_EWMA_HALF_LIVES = [MINUTE, 5 * MINUTE, 15 * MINUTE]
+const DEFAULT_SLIDING_WINDOWS = [30 * SECOND, 5 * MINUTE, HOUR]
+
+const INVALID_SAMPLE_MODES = ['reject', 'skip']
+const INGEST_BATCH_SIZE = 1024
+
+const ALERT_STATS = ['median', 'average', 'percentile']
+const ALERT_OPERATORS = ['>', '<']
+
+const MODES = {
+  sort: 'sort',
+  histogram: 'histogram'
+}
 
 'use strict'
 
-class StatsCollector {
+function serializeBuckets (buckets) {
+  return buckets.map(({start, sketch, timeouts}) => ({start, sketch: sketch.toJSON(), timeouts}))
+}
+
+function deserializeBuckets (buckets) {
+  return buckets.map(({start, sketch, timeouts}) => ({start, sketch: QuantileSketch.fromJSON(sketch), timeouts}))
+}
+
+// JSON header of a serialized collector, the fields deserialize relies on are checked
+function parseFileHeader (json) {
+  let header
+  try {
+    header = JSON.parse(json)
+  } catch (err) {
+    throw new Error('Incorrect file format')
+  }
+
+  const isCount = v => Number.isInteger(v) && v >= 0
+  const isBuckets = v => Array.isArray(v) && v.every(bucket => bucket && Number.isFinite(bucket.start) && bucket.sketch && typeof bucket.sketch === 'object')
+  const isValid = header !== null && typeof header === 'object' &&
+    Object.values(MODES).includes(header.mode) && isCount(header.length) && isCount(header.timeoutsCount) &&
+    Array.isArray(header.rollups) && header.rollups.every(v => v && isBuckets(v.buckets)) &&
+    Array.isArray(header.labeledSeries) && header.labeledSeries.every(v => v && v.labels && isBuckets(v.buckets)) &&
+    (header.mode !== MODES.histogram || (Array.isArray(header.segments) && header.segments.every(v => v && Number.isFinite(v.start))))
+  if (!isValid) throw new Error('Incorrect file format')
+
+  return header
+}
+
+// Linear interpolation between the closest ranks, so the 50th percentile is the same as the median
+function interpolatePercentile (percentile, length, getValueAtRank) {
+  if (length === 0) return NaN
+
+  const position = (length - 1) * percentile / 100
+  const lower = Math.floor(position)
+  const lowerValue = getValueAtRank(lower)
+  if (position === lower) return lowerValue
+
+  return lowerValue + (getValueAtRank(lower + 1) - lowerValue) * (position - lower)
+}
+
+// windows not bigger than this are sorted by insertion sort in selectRank
+const INSERTION_SORT_THRESHOLD = 16
+
+// Introselect: quickselect with median-of-three pivots which falls back to sorting when the partitions
+// are bad for too long. Reorders arr[low..high) so arr[rank] is in its sorted position, the values
+// before it are not bigger and the values after it are not smaller. O(n) on average, O(n log n) at worst
+function selectRank (arr, rank, low = 0, high = arr.length) {
+  let depthLimit = 2 * Math.ceil(Math.log2(high - low + 1))
+
+  while (high - low > INSERTION_SORT_THRESHOLD) {
+    if (depthLimit-- === 0) {
+      arr.subarray(low, high).sort()
+      return arr[rank]
+    }
+
+    const middle = (low + high) >>> 1
+    const a = arr[low]
+    const b = arr[middle]
+    const c = arr[high - 1]
+    const pivot = (a < b) ? ((b < c) ? b : Math.max(a, c)) : ((a < c) ? a : Math.max(b, c))
+
+    let i = low
+    let j = high - 1
+    while (i <= j) {
+      while (arr[i] < pivot) i++
+      while (arr[j] > pivot) j--
+      if (i <= j) {
+        const value = arr[i]
+        arr[i++] = arr[j]
+        arr[j--] = value
+      }
+    }
+
+    // arr[low..j] <= pivot, arr[i..high) >= pivot and everything between is equal to pivot
+    if (rank <= j) high = j + 1
+    else if (rank >= i) low = i
+    else return arr[rank]
+  }
+
+  for (let i = low + 1; i < high; i++) {
+    const value = arr[i]
+    let j = i - 1
+    while (j >= low && arr[j] > value) arr[j + 1] = arr[j--]
+    arr[j + 1] = value
+  }
+
+  return arr[rank]
+}
+
+// values at several ranks of arr[0..length), every next selection works on the part after the previous rank
+function selectRanks (arr, length, ranks) {
+  const order = ranks.map((rank, i) => i).sort((a, b) => ranks[a] - ranks[b])
+  const result = new Array(ranks.length)
+  let low = 0
+
+  order.forEach(i => {
+    const rank = ranks[i]
+    if (rank < 0 || rank >= length) return
+
+    result[i] = (rank < low) ? arr[rank] : selectRank(arr, rank, low, length)
+    low = rank + 1
+  })
+
+  return result
+}
+
+function validateSample (responseTimeMs, timestamp, labels) {
+  if (!Number.isFinite(responseTimeMs)) throw new Error('Incorrect responseTimeMs value')
+  if (responseTimeMs < 0) throw new Error('Negative responseTimeMs not allowed')
+  if (!Number.isFinite(timestamp)) throw new Error('Incorrect timestamp value')
+  if (labels !== undefined) validateLabels(labels)
+}
+
+function validateTimeout (timestamp, labels) {
+  if (!Number.isFinite(timestamp)) throw new Error('Incorrect timestamp value')
+  if (labels !== undefined) validateLabels(labels)
+}
+
+// a sample could be either a response time or {responseTimeMs, timestamp, labels},
+// a timed out request is {timestamp, labels, timeout: true}
+function toSample (value, defaults) {
+  if (value === null || typeof value !== 'object') return {responseTimeMs: value, timestamp: defaults.timestamp, labels: defaults.labels, timeout: false}
+
+  return {
+    responseTimeMs: value.responseTimeMs,
+    timestamp: value.timestamp === undefined ? defaults.timestamp : value.timestamp,
+    labels: value.labels === undefined ? defaults.labels : value.labels,
+    timeout: value.timeout === true
+  }
+}
+
+function validateBatchSample ({responseTimeMs, timestamp, labels, timeout}) {
+  if (timeout) validateTimeout(timestamp, labels)
+  else validateSample(responseTimeMs, timestamp, labels)
+}
+
+function validatePercentiles (percentiles) {
+  if (!Array.isArray(percentiles)) throw new Error('Percentiles should be an array')
+  percentiles.forEach(p => {
+    if (!Number.isFinite(p)) throw new Error('Incorrect percentile value')
+    if (p < 0 || p > 100) throw new Error('Percentile should be between 0 and 100')
+  })
+}
+
+// added by toPrometheus to the summary and histogram samples
+const RESERVED_LABELS = ['quantile', 'le']
+
+function validateLabels (labels) {
+  if (labels === null || typeof labels !== 'object' || Array.isArray(labels)) throw new Error('Incorrect labels value')
+  Object.keys(labels).forEach(name => {
+    if (RESERVED_LABELS.includes(name)) throw new Error(`Label "${name}" is reserved`)
+    if (typeof labels[name] !== 'string' && !Number.isFinite(labels[name])) throw new Error(`Incorrect value of label "${name}"`)
+  })
+}
+
+// label values are strings, so status 200 and '200' are the same
+function normalizeLabels (labels) {
+  return Object.keys(labels).reduce((result, name) => Object.assign(result, {[name]: String(labels[name])}), {})
+}
+
+// the same labels give the same key regardless of the keys order
+function getLabelsKey (labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]))
+}
+
+function formatMetricValue (value) {
+  if (Number.isNaN(value)) return 'NaN'
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+
+  return String(value)
+}
+
+// cumulative counts of the values at most the bucket bounds (sorted ascending)
+function getBucketCounts (values, buckets) {
+  const counts = buckets.map(() => 0)
+  values.forEach(v => {
+    const index = buckets.findIndex(le => v <= le)
+    if (index !== -1) counts[index]++
+  })
+  for (let i = 1; i < counts.length; i++) counts[i] += counts[i - 1]
+
+  return counts
+}
+
+// label names are sanitized to [a-zA-Z_][a-zA-Z0-9_]*, values are escaped as the text format requires
+function formatMetricLabels (labels) {
+  const pairs = Object.keys(labels).map(name => {
+    const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+    return `${name.replace(/^[^a-zA-Z_]|[^a-zA-Z0-9_]/g, '_')}="${value}"`
+  })
+
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+function getPercentileRanks (percentile, length) {
+  const position = (length - 1) * percentile / 100
+  return [Math.floor(position), Math.ceil(position)]
+}
+
+// Exact counts of response times with 1ms resolution over 0..RESPONSE_TIMEOUT.
+// Memory doesn't depend on the amount of samples: it's always (RESPONSE_TIMEOUT + 1) counters
+class CountingHistogram {
   constructor () {
-    this.data = []
+    this.counts = new Float64Array(RESPONSE_TIMEOUT + 1)
+    this.length = 0
     this.sum = 0
-    this.ave = 0
   }
 
-  pushValue (responseTimeMs) {
-    if (!Number.isFinite(responseTimeMs)) throw new Error('Incorrect responseTimeMs value')
-    if (responseTimeMs < 0) throw new Error('Negative responseTimeMs not allowed')
+  getBin (value) {
+    return Math.min(Math.round(value), RESPONSE_TIMEOUT)
+  }
 
-    this.data.push(responseTimeMs)
-    this.sum += responseTimeMs
-    this.ave = this.sum / this.data.length
+  add (value, count = 1) {
+    this.counts[this.getBin(value)] += count
+    this.length += count
+    this.sum += value * count
   }
 
-  getDatasetStartIndex (days, dataLength = 0) {
-    if (!Number.isFinite(days)) throw new Error('Incorrect days value')
-    if (!Number.isFinite(dataLength)) throw new Error('Incorrect dataLength value')
-    if (days < 0) throw new Error('Negative days not allowed')
-    if (dataLength < 0) throw new Error('Negative dataLength not allowed')
+  merge (histogram) {
+    for (let i = 0; i < this.counts.length; i++) this.counts[i] += histogram.counts[i]
+    this.length += histogram.length
+    this.sum += histogram.sum
+    return this
+  }
 
-    const range = REQUESTS_PER_SECOND * (DAY * days)
-    return (dataLength > range) ? dataLength - range : 0
+  // rank is 0-based, same as an index in the sorted dataset
+  getValueAtRank (rank) {
+    return this.getValuesAtRanks([rank])[0]
   }
 
-  getDataset (days = 7) {
-    if (!Number.isFinite(days)) throw new Error('Incorrect days value')
-    if (days < 0) throw new Error('Negative days not allowed')
+  // one pass over the bins for any amount of ranks
+  getValuesAtRanks (ranks) {
+    const order = ranks.map((rank, i) => i).sort((a, b) => ranks[a] - ranks[b])
+    const result = new Array(ranks.length)
+    let seen = 0
+    let bin = 0
 
-    // 20 000 requests per second
-    // means (20 000 * 60sec * 60mins * 24hours) 1 728 000 000 per day (12 096 000 000 at week)
-    const start = this.getDatasetStartIndex(days, this.data.length)
-    return this.data.slice(start, this.data.length)
+    order.forEach(i => {
+      while (bin < this.counts.length && seen + this.counts[bin] <= ranks[i]) seen += this.counts[bin++]
+      result[i] = (bin < this.counts.length) ? bin : undefined
+    })
+
+    return result
   }
 
-  getMedian (days = 7) {
-    if (!Number.isFinite(days)) throw new Error('Incorrect days value')
-    if (days < 0) throw new Error('Negative days not allowed')
+  getMedian () {
+    const isEven = this.length % 2 === 0
+    const middle = Math.floor(this.length / 2)
+    return isEven ? ((this.getValueAtRank(middle) + this.getValueAtRank(middle - 1)) / 2) : this.getValueAtRank(middle)
+  }
 
-    const dataset = this.getDataset(days)
-    const sortedArr = dataset.sort((a, b) => a - b)
-    const isEven = sortedArr.length % 2 === 0
-    const middle = Math.floor(sortedArr.length / 2)
-    return isEven ? ((sortedArr[middle] + sortedArr[middle - 1]) / 2) : sortedArr[middle]
+  // fn(value, count) for every non-empty bin in ascending order
+  forEachRun (fn) {
+    this.counts.forEach((count, value) => {
+      if (count) fn(value, count)
+    })
   }
 
-  getAverage (days = 7) {
-    if (!Number.isFinite(days)) throw new Error('Incorrect days value')
-    if (days < 0) throw new Error('Negative days not allowed')
+  getAverage () {
+    return this.length ? this.sum / this.length : 0
+  }
 
-    const start = this.getDatasetStartIndex(days)
-    if (start === 0) return this.ave
+  // bins are 1ms wide, so sum is taken from the original values
+  toSketch (relativeAccuracy) {
+    const sketch = new QuantileSketch(relativeAccuracy)
+    this.counts.forEach((count, value) => {
+      if (count) sketch.add(value, count)
+    })
+    sketch.sum = this.sum
 
-    const dataset = this.getDataset(days)
-    return dataset.reduce((c, v) => c + v) / dataset.length
+    return sketch
   }
 }
 
-// TODO (S.Panfilov)
-const mocha = require('mocha')
-// const sinon = require('sinon')
-const expect = require('chai').expect
-//
+// Log-bucketed quantile summary (the same idea as DDSketch): every quantile is returned with
+// relative error not bigger than relativeAccuracy, memory depends on the range of values only
+// (~500 bins for 1ms..19000ms with 1% accuracy)
+class QuantileSketch {
+  constructor (relativeAccuracy = 0.01) {
+    if (!Number.isFinite(relativeAccuracy)) throw new Error('Incorrect relativeAccuracy value')
+    if (relativeAccuracy <= 0 || relativeAccuracy >= 1) throw new Error('relativeAccuracy should be between 0 and 1')
+
+    this.relativeAccuracy = relativeAccuracy
+    this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy)
+    this.logGamma = Math.log(this.gamma)
+    this.bins = new Map()
+    this.zeroCount = 0
+    this.length = 0
+    this.sum = 0
+    this.min = Infinity
+    this.max = -Infinity
+  }
 
-// Configure Mocha, telling both it and chai to use BDD-style tests.
-// mocha.setup("bdd")
-// const expect = chai.expect
+  getBin (value) {
+    return Math.ceil(Math.log(value) / this.logGamma)
+  }
 
-// describe('StatsCollector', () => {
-//   it('it should have tests', () => {
-//     true.should.equal(true)
-//   })
-// })
+  // the value with the same relative distance to both bin bounds
+  getBinValue (bin) {
+    return 2 * Math.pow(this.gamma, bin) / (this.gamma + 1)
+  }
 
-// Tests
+  add (value, count = 1) {
+    if (value > 0) {
+      const bin = this.getBin(value)
+      this.bins.set(bin, (this.bins.get(bin) || 0) + count)
+    } else {
+      this.zeroCount += count
+    }
+
+    this.length += count
+    this.sum += value * count
+    this.min = Math.min(this.min, value)
+    this.max = Math.max(this.max, value)
+  }
 
-describe('StatsCollector.', () => {
-  describe('constructor.', () => {
-    it('should create proper object', () => {
-      const statsCollector = new StatsCollector()
+  merge (sketch) {
+    if (sketch.relativeAccuracy !== this.relativeAccuracy) throw new Error('Sketches with different accuracy can\'t be merged')
 
-      expect(statsCollector.data).to.be.deep.equal([])
-      expect(statsCollector.ave).to.be.equal(0)
-      expect(statsCollector.sum).to.be.equal(0)
+    sketch.bins.forEach((count, bin) => this.bins.set(bin, (this.bins.get(bin) || 0) + count))
+    this.zeroCount += sketch.zeroCount
+    this.length += sketch.length
+    this.sum += sketch.sum
+    this.min = Math.min(this.min, sketch.min)
+    this.max = Math.max(this.max, sketch.max)
+    return this
+  }
+
+  // one pass over the sorted bins for any amount of ranks
+  getValuesAtRanks (ranks) {
+    const order = ranks.map((rank, i) => i).sort((a, b) => ranks[a] - ranks[b])
+    const bins = [...this.bins.keys()].sort((a, b) => a - b)
+    const result = new Array(ranks.length)
+    let seen = this.zeroCount
+    let i = 0
+
+    order.forEach(j => {
+      if (ranks[j] < 0 || ranks[j] >= this.length) return
+      if (ranks[j] < this.zeroCount) {
+        result[j] = 0
+        return
+      }
+
+      while (seen + this.bins.get(bins[i]) <= ranks[j]) seen += this.bins.get(bins[i++])
+      // min and max are exact, so there is no reason to go beyond them
+      result[j] = Math.min(Math.max(this.getBinValue(bins[i]), this.min), this.max)
     })
-  })
 
-  describe('getAverage.', () => {
-    it('should return 0 on empty data', () => {
-      const statsCollector = new StatsCollector()
+    return result
+  }
+
+  // fn(value, count) for every non-empty bin in ascending order
+  forEachRun (fn) {
+    const bins = [...this.bins.keys()].sort((a, b) => a - b)
+    if (this.zeroCount) fn(0, this.zeroCount)
+    bins.forEach(bin => {
+      fn(Math.min(Math.max(this.getBinValue(bin), this.min), this.max), this.bins.get(bin))
+    })
+  }
+
+  // count of the values not bigger than value (with the same relative error as the quantiles)
+  getCountAtMost (value) {
+    if (value < 0) return 0
+    if (value === 0) return this.zeroCount
+
+    const maxBin = this.getBin(value)
+    let count = this.zeroCount
+    this.bins.forEach((binCount, bin) => {
+      if (bin <= maxBin) count += binCount
+    })
+
+    return count
+  }
+
+  getPercentiles (percentiles) {
+    const ranks = [].concat(...percentiles.map(p => getPercentileRanks(p, this.length)))
+    const values = this.getValuesAtRanks(ranks)
+    const valuesByRank = new Map(ranks.map((rank, i) => [rank, values[i]]))
+
+    return percentiles.map(p => interpolatePercentile(p, this.length, rank => valuesByRank.get(rank)))
+  }
+
+  getPercentile (percentile) {
+    return this.getPercentiles([percentile])[0]
+  }
+
+  getMedian () {
+    return this.getPercentile(50)
+  }
+
+  getAverage () {
+    return this.length ? this.sum / this.length : 0
+  }
+
+  // Infinity isn't valid JSON, so min and max of an empty sketch are omitted
+  toJSON () {
+    const result = {relativeAccuracy: this.relativeAccuracy, length: this.length, sum: this.sum, zeroCount: this.zeroCount, bins: [...this.bins]}
+    if (this.length) Object.assign(result, {min: this.min, max: this.max})
+
+    return result
+  }
+
+  static fromJSON ({relativeAccuracy, length, sum, zeroCount, bins, min = Infinity, max = -Infinity}) {
+    const sketch = new QuantileSketch(relativeAccuracy)
+    Object.assign(sketch, {length, sum, zeroCount, min, max, bins: new Map(bins)})
+
+    return sketch
+  }
+}
+
+// Compact serializable summary of a window (see StatsCollector.snapshot), snapshots of many servers
+// could be combined with StatsCollector.merge. count, sum and average are exact, any quantile
+// has relative error not bigger than the sketch relativeAccuracy (1% by default).
+// Quantiles cover the responses only, timeouts are counted separately
+class StatsSnapshot {
+  constructor ({from = -Infinity, to = -Infinity, sketch = new QuantileSketch(), timeouts = 0} = {}) {
+    this.from = from
+    this.to = to
+    this.sketch = sketch
+    this.timeouts = timeouts
+  }
+
+  static fromJSON (json) {
+    if (json instanceof StatsSnapshot) return json
+    if (!json || typeof json !== 'object' || !json.sketch) throw new Error('Incorrect snapshot value')
+
+    return new StatsSnapshot({
+      from: json.from === null ? -Infinity : json.from,
+      to: json.to === null ? -Infinity : json.to,
+      sketch: QuantileSketch.fromJSON(json.sketch),
+      timeouts: json.timeouts
+    })
+  }
+
+  get count () {
+    return this.sketch.length
+  }
+
+  get sum () {
+    return this.sketch.sum
+  }
+
+  merge (snapshot) {
+    this.from = Math.min(this.from, snapshot.from)
+    this.to = Math.max(this.to, snapshot.to)
+    this.sketch.merge(snapshot.sketch)
+    this.timeouts += snapshot.timeouts
+    return this
+  }
+
+  getTimeoutRate () {
+    const total = this.timeouts + this.count
+    return total ? this.timeouts / total : 0
+  }
+
+  getMedian () {
+    return this.sketch.getMedian()
+  }
+
+  getAverage () {
+    return this.sketch.getAverage()
+  }
+
+  getPercentile (percentile) {
+    return this.getPercentiles([percentile])[0]
+  }
+
+  getPercentiles (percentiles) {
+    validatePercentiles(percentiles)
+    return this.sketch.getPercentiles(percentiles)
+  }
+
+  toJSON () {
+    return {from: this.from, to: this.to, sketch: this.sketch.toJSON(), timeouts: this.timeouts}
+  }
+}
+
+// Aggregates of the samples (and timeouts count) per time bucket of the given resolution (e.g. per MINUTE)
+class Rollup {
+  constructor (resolution, retentionDays, relativeAccuracy) {
+    this.resolution = resolution
+    this.retentionDays = retentionDays
+    this.relativeAccuracy = relativeAccuracy
+    this.buckets = []
+  }
+
+  getRetentionStart (now) {
+    return now - DAY * this.retentionDays
+  }
+
+  // null when the bucket is already out of the retention period
+  getBucket (timestamp, now) {
+    const start = Math.floor(timestamp / this.resolution) * this.resolution
+    if (start + this.resolution <= this.getRetentionStart(now)) return null
+
+    let index = this.buckets.length - 1
+    while (index >= 0 && this.buckets[index].start > start) index--
+
+    let bucket = this.buckets[index]
+    if (!bucket || bucket.start !== start) {
+      bucket = {start, sketch: new QuantileSketch(this.relativeAccuracy), timeouts: 0}
+      this.buckets.splice(index + 1, 0, bucket)
+    }
+
+    return bucket
+  }
+
+  push (value, timestamp, now) {
+    const bucket = this.getBucket(timestamp, now)
+    if (bucket) bucket.sketch.add(value)
+  }
+
+  pushTimeout (timestamp, now) {
+    const bucket = this.getBucket(timestamp, now)
+    if (bucket) bucket.timeouts++
+  }
+
+  evict (now) {
+    const retentionStart = this.getRetentionStart(now)
+    while (this.buckets.length && this.buckets[0].start + this.resolution <= retentionStart) this.buckets.shift()
+  }
+
+  getBuckets (from, to) {
+    return this.buckets.filter(v => v.start <= to && v.start + this.resolution > from)
+  }
+
+  // Buckets without samples and timeouts are omitted. The buckets with timeouts only are returned
+  // for their timeouts count, their min, max, average and median are null
+  getSeries (from, to) {
+    return this.getBuckets(from, to).map(({start, sketch, timeouts}) => {
+      const hasSamples = sketch.length > 0
+
+      return {
+        start,
+        end: start + this.resolution,
+        count: sketch.length,
+        sum: sketch.sum,
+        min: hasSamples ? sketch.min : null,
+        max: hasSamples ? sketch.max : null,
+        average: hasSamples ? sketch.getAverage() : null,
+        median: hasSamples ? sketch.getMedian() : null,
+        timeouts,
+        sketch
+      }
+    })
+  }
+}
+
+// Samples sorted by timestamp, stored in a ring of typed array chunks: samples are appended to the last chunk
+// and evicted from the first one, the emptied chunk is reused for the next appends. Values are Float64Array
+// (or Uint32Array with integerMs), timestamps are Float64Array, so there are no boxed numbers to collect
+class SampleBuffer {
+  constructor ({integerMs = false} = {}) {
+    this.ValuesArray = integerMs ? Uint32Array : Float64Array
+    this.chunks = []
+    this.spareChunk = null
+    // position of the oldest sample in the first chunk
+    this.head = 0
+    this.size = 0
+    // samples shifted since the creation: shifted + index is the position of a sample which doesn't change on shift
+    this.shifted = 0
+  }
+
+  get length () {
+    return this.size
+  }
+
+  get capacity () {
+    return this.chunks.length * SAMPLE_CHUNK_SIZE
+  }
+
+  getValue (index) {
+    const position = this.head + index
+    return this.chunks[position >>> SAMPLE_CHUNK_BITS].values[position & (SAMPLE_CHUNK_SIZE - 1)]
+  }
+
+  getTimestamp (index) {
+    const position = this.head + index
+    return this.chunks[position >>> SAMPLE_CHUNK_BITS].timestamps[position & (SAMPLE_CHUNK_SIZE - 1)]
+  }
+
+  set (index, value, timestamp) {
+    const position = this.head + index
+    const chunk = this.chunks[position >>> SAMPLE_CHUNK_BITS]
+    chunk.values[position & (SAMPLE_CHUNK_SIZE - 1)] = value
+    chunk.timestamps[position & (SAMPLE_CHUNK_SIZE - 1)] = timestamp
+  }
+
+  append (value, timestamp) {
+    if (this.head + this.size === this.capacity) {
+      this.chunks.push(this.spareChunk || {values: new this.ValuesArray(SAMPLE_CHUNK_SIZE), timestamps: new Float64Array(SAMPLE_CHUNK_SIZE)})
+      this.spareChunk = null
+    }
+
+    this.set(this.size++, value, timestamp)
+  }
+
+  // Samples usually come in order, the late ones are inserted to keep timestamps sorted.
+  // Returns the index of the sample
+  push (value, timestamp) {
+    if (this.size === 0 || timestamp >= this.getTimestamp(this.size - 1)) {
+      this.append(value, timestamp)
+      return this.size - 1
+    }
+
+    const index = this.upperBound(timestamp)
+    this.append(value, timestamp)
+    for (let i = this.size - 1; i > index; i--) this.set(i, this.getValue(i - 1), this.getTimestamp(i - 1))
+    this.set(index, value, timestamp)
+    return index
+  }
+
+  getOldestTimestamp () {
+    return this.getTimestamp(0)
+  }
+
+  shift () {
+    const value = this.getValue(0)
+    this.head++
+    this.size--
+    this.shifted++
+
+    if (this.head === SAMPLE_CHUNK_SIZE) {
+      this.spareChunk = this.chunks.shift()
+      this.head = 0
+    }
+
+    return value
+  }
+
+  // index of the first sample with timestamp not less than the given one
+  lowerBound (timestamp) {
+    let low = 0
+    let high = this.size
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (this.getTimestamp(middle) < timestamp) low = middle + 1
+      else high = middle
+    }
+    return low
+  }
+
+  // index of the first sample with timestamp greater than the given one
+  upperBound (timestamp) {
+    let low = 0
+    let high = this.size
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (this.getTimestamp(middle) <= timestamp) low = middle + 1
+      else high = middle
+    }
+    return low
+  }
+
+  // plain arrays of values (and timestamps) for the public getters
+  slice (start = 0, end = this.size) {
+    const result = new Array(end - start)
+    for (let i = start; i < end; i++) result[i - start] = this.getValue(i)
+    return result
+  }
+
+  getTimestamps () {
+    const result = new Array(this.size)
+    for (let i = 0; i < this.size; i++) result[i] = this.getTimestamp(i)
+    return result
+  }
+
+  // copies whole parts of chunks, target should be a typed array
+  copyTo (target, start = 0, end = this.size) {
+    let index = start
+    while (index < end) {
+      const position = this.head + index
+      const offset = position & (SAMPLE_CHUNK_SIZE - 1)
+      const count = Math.min(SAMPLE_CHUNK_SIZE - offset, end - index)
+      target.set(this.chunks[position >>> SAMPLE_CHUNK_BITS].values.subarray(offset, offset + count), index - start)
+      index += count
+    }
+    return target
+  }
+}
+
+// Exponentially weighted moving average with a half-life in ms: a sample of halfLife ms ago
+// has a half of the weight of the current one. Late samples get the weight of their age
+class Ewma {
+  constructor (halfLife) {
+    this.halfLife = halfLife
+    this.weightedSum = 0
+    this.weight = 0
+    this.timestamp = -Infinity
+  }
+
+  push (value, timestamp) {
+    if (timestamp >= this.timestamp) {
+      const decay = this.weight ? Math.pow(2, (this.timestamp - timestamp) / this.halfLife) : 0
+      this.weightedSum = this.weightedSum * decay + value
+      this.weight = this.weight * decay + 1
+      this.timestamp = timestamp
+      return
+    }
+
+    const weight = Math.pow(2, (timestamp - this.timestamp) / this.halfLife)
+    this.weightedSum += value * weight
+    this.weight += weight
+  }
+
+  // both sums decay at the same rate, so the average doesn't change till the next sample
+  get value () {
+    return this.weight ? this.weightedSum / this.weight : 0
+  }
+}
+
+// Exact average of the samples of the last duration ms with a running sum, every sample is added once
+// and removed once. The window doesn't copy the samples: it keeps the position (see SampleBuffer.shifted)
+// of its oldest sample in the buffers of the collector (sort mode), the samples after it are in the window.
+// Without the buffers (histogram mode) the window keeps the samples in its own buffer.
+// The buffers are evicted by the collector after the window (the window is shorter than the retention)
+class SlidingWindow {
+  constructor (duration, buffers) {
+    this.duration = duration
+    this.ownBuffer = buffers ? null : new SampleBuffer()
+    this.cursors = (buffers || [this.ownBuffer]).map(buffer => ({buffer, start: buffer.shifted + buffer.length}))
+    this.sum = 0
+  }
+
+  get length () {
+    return this.cursors.reduce((result, {buffer, start}) => result + buffer.shifted + buffer.length - start, 0)
+  }
+
+  // the sample of the own buffer
+  push (value, timestamp, now) {
+    if (timestamp < now - this.duration) return
+    this.add(this.ownBuffer, this.ownBuffer.push(value, timestamp), now)
+  }
+
+  // the sample inserted at index of the buffer
+  add (buffer, index, now) {
+    const cursor = this.cursors.find(v => v.buffer === buffer)
+    // a late sample before the window moves the window, the rest are in the window till the evict
+    if (buffer.shifted + index < cursor.start) cursor.start++
+    else this.sum += buffer.getValue(index)
+
+    this.evict(now)
+  }
+
+  evict (now) {
+    const windowStart = now - this.duration
+    this.cursors.forEach(cursor => {
+      const {buffer} = cursor
+      while (cursor.start < buffer.shifted + buffer.length && buffer.getTimestamp(cursor.start - buffer.shifted) < windowStart) {
+        this.sum -= buffer.getValue(cursor.start - buffer.shifted)
+        cursor.start++
+      }
+    })
+    if (this.ownBuffer) {
+      while (this.ownBuffer.shifted < this.cursors[0].start) this.ownBuffer.shift()
+    }
+
+    // no float error is carried over once the window gets empty
+    if (!this.length) this.sum = 0
+  }
+
+  // the window of the samples already in the buffers (e.g. restored ones)
+  reset (now) {
+    this.sum = 0
+    this.cursors.forEach(cursor => {
+      const {buffer} = cursor
+      const start = buffer.lowerBound(now - this.duration)
+      cursor.start = buffer.shifted + start
+      for (let i = start; i < buffer.length; i++) this.sum += buffer.getValue(i)
+    })
+  }
+
+  getAverage (now) {
+    this.evict(now)
+    const length = this.length
+    return length ? this.sum / length : 0
+  }
+}
+
+class StatsCollector {
+  constructor ({
+    mode = MODES.sort,
+    clock = Date.now,
+    retentionDays = 7,
+    rollups = DEFAULT_ROLLUPS,
+    sketchAccuracy = 0.01,
+    includeTimeouts = false,
+    maxLabelValues = 100,
+    // response times are rounded to whole ms and stored in 4 bytes instead of 8
+    integerMs = false,
+    ewmaHalfLives = DEFAULT_EWMA_HALF_LIVES,
+    slidingWindows
+  } = {}) {
+    if (!Object.values(MODES).includes(mode)) throw new Error('Incorrect mode value')
+    if (typeof includeTimeouts !== 'boolean') throw new Error('Incorrect includeTimeouts value')
+    if (typeof integerMs !== 'boolean') throw new Error('Incorrect integerMs value')
+    if (typeof clock !== 'function') throw new Error('Incorrect clock value')
+    if (!Number.isFinite(retentionDays)) throw new Error('Incorrect retentionDays value')
+    if (retentionDays < 0) throw new Error('Negative retentionDays not allowed')
+    if (!Array.isArray(rollups)) throw new Error('Rollups should be an array')
+    rollups.forEach(v => {
+      if (!v || !Number.isFinite(v.resolution) || v.resolution <= 0) throw new Error('Incorrect resolution value')
+    })
+    if (!Number.isInteger(maxLabelValues) || maxLabelValues < 1) throw new Error('Incorrect maxLabelValues value')
+    if (typeof sketchAccuracy !== 'number' || !(sketchAccuracy > 0 && sketchAccuracy < 1)) throw new Error('Incorrect sketchAccuracy value')
+    if (!Array.isArray(ewmaHalfLives) || ewmaHalfLives.some(v => !Number.isFinite(v) || v <= 0)) throw new Error('Incorrect ewmaHalfLives value')
+    // Histogram mode keeps no samples, so the windows would keep their own ones: no windows by default.
+    // The default windows longer than the retention are dropped, the given ones are rejected
+    if (slidingWindows === undefined) slidingWindows = (mode === MODES.histogram) ? [] : DEFAULT_SLIDING_WINDOWS.filter(v => v <= DAY * retentionDays)
+    if (!Array.isArray(slidingWindows) || slidingWindows.some(v => !Number.isFinite(v) || v <= 0 || v > DAY * retentionDays)) {
+      throw new Error('Incorrect slidingWindows value')
+    }
+
+    this.mode = mode
+    this.clock = clock
+    this.retentionDays = retentionDays
+    this.sketchAccuracy = sketchAccuracy
+    this.includeTimeouts = includeTimeouts
+    this.integerMs = integerMs
+    this.rollups = new Map(rollups.map(v => {
+      const rollupRetentionDays = Math.min(v.retentionDays === undefined ? retentionDays : v.retentionDays, retentionDays)
+      return [v.resolution, new Rollup(v.resolution, rollupRetentionDays, sketchAccuracy)]
+    }))
+    this.length = 0
+    this.sum = 0
+    this.ave = 0
+    this.timeoutsCount = 0
+    this.skippedCount = 0
+
+    // every combination of labels has its own series of daily sketches, so memory per labels is bounded
+    this.maxLabelValues = maxLabelValues
+    this.labeledSeries = new Map()
+    this.labelValues = new Map()
+    this.labelsEvictedAt = -Infinity
+
+    if (mode === MODES.histogram) {
+      // histogram mode keeps no samples, only one histogram (and timeouts count) per day of the retention period
+      this.segmentDuration = DAY
+      this.segments = []
+    } else {
+      this.samples = new SampleBuffer({integerMs})
+      this.timeouts = new SampleBuffer({integerMs: true})
+    }
+
+    this.ewmas = new Map(ewmaHalfLives.map(v => [v, new Ewma(v)]))
+    // the windows of sort mode are positions in the samples (and timeouts) buffers
+    const windowBuffers = (mode === MODES.histogram) ? null : [this.samples].concat(includeTimeouts ? [this.timeouts] : [])
+    this.slidingWindows = new Map(slidingWindows.map(v => [v, new SlidingWindow(v, windowBuffers)]))
+  }
+
+  get data () {
+    return this.samples ? this.samples.slice() : null
+  }
+
+  get timestamps () {
+    return this.samples ? this.samples.getTimestamps() : null
+  }
+
+  now () {
+    return this.clock()
+  }
+
+  getRetentionStart (now = this.now()) {
+    return now - DAY * this.retentionDays
+  }
+
+  // sum and ave always cover the retained samples only
+  evict (now = this.now()) {
+    const retentionStart = this.getRetentionStart(now)
+    this.rollups.forEach(v => v.evict(now))
+    // the windows leave the samples before they are shifted
+    this.slidingWindows.forEach(v => v.evict(now))
+    this.evictLabeledSeries(now)
+
+    if (this.mode === MODES.histogram) {
+      while (this.segments.length && this.segments[0].start + this.segmentDuration <= retentionStart) {
+        const {histogram, timeouts} = this.segments.shift()
+        this.length -= histogram.length
+        this.sum -= histogram.sum
+        this.timeoutsCount -= timeouts
+      }
+    } else {
+      while (this.samples.length && this.samples.getOldestTimestamp() < retentionStart) {
+        this.sum -= this.samples.shift()
+        this.length--
+      }
+      while (this.timeouts.length && this.timeouts.getOldestTimestamp() < retentionStart) {
+        this.timeouts.shift()
+        this.timeoutsCount--
+      }
+    }
+
+    if (this.length === 0) this.sum = 0 // no floating point leftovers
+    this.ave = this.length ? this.sum / this.length : 0
+  }
+
+  // days could be either a number of days till now, or an explicit {from, to} range of timestamps (both inclusive)
+  getRange (days = 7) {
+    if (days !== null && typeof days === 'object' && !Array.isArray(days) && ('from' in days || 'to' in days)) {
+      const {from = -Infinity, to = this.now()} = days
+      if (typeof from !== 'number' || Number.isNaN(from) || from === Infinity) throw new Error('Incorrect from value')
+      if (!Number.isFinite(to)) throw new Error('Incorrect to value')
+
+      return {from, to}
+    }
+
+    if (!Number.isFinite(days)) throw new Error('Incorrect days value')
+    if (days < 0) throw new Error('Negative days not allowed')
+
+    const now = this.now()
+    return {from: now - DAY * days, to: now}
+  }
+
+  // labels could be passed instead of the timestamp: pushValue(ms, {route}) or pushValue(ms, {route}, timestamp)
+  pushValue (responseTimeMs, timestamp, labels) {
+    if (timestamp !== null && typeof timestamp === 'object') [timestamp, labels] = [labels, timestamp]
+    if (timestamp === undefined) timestamp = this.now()
+
+    validateSample(responseTimeMs, timestamp, labels)
+    const now = this.now()
+    this.addSample(responseTimeMs, timestamp, labels, now)
+    this.evict(now)
+  }
+
+  // Batch of response times (an array or a typed array) or samples {responseTimeMs, timestamp, labels}
+  // and timeouts {timestamp, labels, timeout: true}, timestamp and labels options are used for the samples
+  // without them. Samples are evicted once per batch. With onInvalid 'reject' nothing is pushed if any sample
+  // is invalid (including too many label values), with 'skip' invalid samples are skipped and counted
+  // in skippedCount. Returns the amounts of pushed, skipped and outOfWindow (valid ones older than the retention,
+  // they are dropped) samples
+  pushValues (values, {timestamp, labels, onInvalid = 'reject'} = {}) {
+    if (!Array.isArray(values) && !ArrayBuffer.isView(values)) throw new Error('Values should be an array')
+    if (!INVALID_SAMPLE_MODES.includes(onInvalid)) throw new Error('Incorrect onInvalid value')
+
+    const now = this.now()
+    const defaults = {timestamp: timestamp === undefined ? now : timestamp, labels}
+    const samples = Array.prototype.map.call(values, v => toSample(v, defaults))
+    if (onInvalid === 'reject') {
+      samples.forEach(validateBatchSample)
+      this.checkLabelValues(samples, now)
+    }
+
+    let pushed = 0
+    let skipped = 0
+    let outOfWindow = 0
+    samples.forEach(v => {
+      try {
+        if (onInvalid === 'skip') validateBatchSample(v)
+        const added = v.timeout ? this.addTimeout(v.timestamp, v.labels, now) : this.addSample(v.responseTimeMs, v.timestamp, v.labels, now)
+        if (added) pushed++
+        else outOfWindow++
+      } catch (err) {
+        // too many label values of 'skip' mode
+        skipped++
+      }
+    })
+
+    this.skippedCount += skipped
+    this.evict(now)
+    return {pushed, skipped, outOfWindow}
+  }
+
+  // Samples of an async (or sync) iterable: response times, samples or batches of them (see pushValues).
+  // Single samples are pushed in batches of INGEST_BATCH_SIZE. With onInvalid 'reject' the batch with
+  // an invalid sample is rejected along with the returned promise, the previous batches stay pushed
+  async ingest (source, options = {}) {
+    if (!source || (typeof source[Symbol.asyncIterator] !== 'function' && typeof source[Symbol.iterator] !== 'function')) {
+      throw new Error('Incorrect source value')
+    }
+
+    const total = {pushed: 0, skipped: 0, outOfWindow: 0}
+    let batch = []
+    const flush = values => {
+      const {pushed, skipped, outOfWindow} = this.pushValues(values, options)
+      total.pushed += pushed
+      total.skipped += skipped
+      total.outOfWindow += outOfWindow
+    }
+
+    for await (const item of source) {
+      if (Array.isArray(item) || ArrayBuffer.isView(item)) {
+        flush(item)
+        continue
+      }
+
+      batch.push(item)
+      if (batch.length >= INGEST_BATCH_SIZE) {
+        flush(batch)
+        batch = []
+      }
+    }
+    if (batch.length) flush(batch)
+
+    return total
+  }
+
+  // Adds a validated sample, the caller evicts the old ones. Values over RESPONSE_TIMEOUT are samples
+  // as well (the histogram counts them in its last bin), timeouts are pushed with pushTimeout only.
+  // Returns false for a sample older than the retention
+  addSample (responseTimeMs, timestamp, labels, now) {
+    // the rounded (and clamped to Uint32Array) value is used everywhere, so the sum matches the stored samples
+    if (this.integerMs) responseTimeMs = Math.min(Math.round(responseTimeMs), MAX_INTEGER_MS)
+
+    // too late to be retained
+    if (timestamp < this.getRetentionStart(now)) return false
+
+    const series = labels && this.getLabeledSeries(labels, now)
+    if (series) series.push(responseTimeMs, timestamp, now)
+
+    let index
+    if (this.mode === MODES.histogram) this.getSegment(timestamp).histogram.add(responseTimeMs)
+    else index = this.samples.push(responseTimeMs, timestamp)
+
+    this.rollups.forEach(v => v.push(responseTimeMs, timestamp, now))
+    this.pushSmoothed(responseTimeMs, timestamp, now, this.samples, index)
+
+    this.length++
+    this.sum += responseTimeMs
+    return true
+  }
+
+  // timed out requests have no response time, they are counted separately from the responses
+  pushTimeout (timestamp, labels) {
+    if (timestamp !== null && typeof timestamp === 'object') [timestamp, labels] = [labels, timestamp]
+    if (timestamp === undefined) timestamp = this.now()
+
+    validateTimeout(timestamp, labels)
+    const now = this.now()
+    this.addTimeout(timestamp, labels, now)
+    this.evict(now)
+  }
+
+  addTimeout (timestamp, labels, now) {
+    if (timestamp < this.getRetentionStart(now)) return false
+
+    const series = labels && this.getLabeledSeries(labels, now)
+    if (series) series.pushTimeout(timestamp, now)
+
+    let index
+    if (this.mode === MODES.histogram) this.getSegment(timestamp).timeouts++
+    else index = this.timeouts.push(RESPONSE_TIMEOUT, timestamp)
+
+    this.rollups.forEach(v => v.pushTimeout(timestamp, now))
+    if (this.includeTimeouts) this.pushSmoothed(RESPONSE_TIMEOUT, timestamp, now, this.timeouts, index)
+
+    this.timeoutsCount++
+    return true
+  }
+
+  // buffer and index of the pushed sample in sort mode, the windows of histogram mode keep their own samples
+  pushSmoothed (value, timestamp, now, buffer, index) {
+    this.ewmas.forEach(v => v.push(value, timestamp))
+    this.slidingWindows.forEach(v => (index === undefined) ? v.push(value, timestamp, now) : v.add(buffer, index, now))
+  }
+
+  // O(1) reads of the averages maintained on pushValue, halfLife and windowMs should be
+  // among the ewmaHalfLives and slidingWindows options. EWMAs aren't persisted by serialize(),
+  // sliding windows of sort mode are restored from the samples
+  getEwma (halfLife = DEFAULT_EWMA_HALF_LIVES[0]) {
+    if (!this.ewmas.has(halfLife)) throw new Error('Incorrect halfLife value')
+    return this.ewmas.get(halfLife).value
+  }
+
+  // amortized O(1): every sample leaves the window once
+  getSlidingAverage (windowMs = DEFAULT_SLIDING_WINDOWS[0]) {
+    if (!this.slidingWindows.has(windowMs)) throw new Error('Incorrect windowMs value')
+    return this.slidingWindows.get(windowMs).getAverage(this.now())
+  }
+
+  // Series of the labels combination, it's created on the first use.
+  // New values of a label are rejected when the label already has maxLabelValues values.
+  // Series have daily buckets, so windows of labeled queries are rounded to whole days
+  getLabeledSeries (labels, now = this.now()) {
+    const names = Object.keys(labels)
+    if (!names.length) return null
+
+    const key = getLabelsKey(labels)
+    if (this.labeledSeries.has(key)) return this.labeledSeries.get(key).rollup
+
+    // values of the expired series shouldn't hold the limit
+    this.evictLabeledSeries(now)
+
+    names.forEach(name => {
+      const values = this.labelValues.get(name)
+      if (values && !values.has(String(labels[name])) && values.size >= this.maxLabelValues) {
+        throw new Error(`Too many values of label "${name}"`)
+      }
+    })
+
+    const series = {labels: normalizeLabels(labels), rollup: new Rollup(DAY, this.retentionDays, this.sketchAccuracy)}
+    this.labeledSeries.set(key, series)
+    this.addLabelValues(series.labels)
+
+    return series.rollup
+  }
+
+  // throws the error of getLabeledSeries if the new series of the samples exceed maxLabelValues
+  checkLabelValues (samples, now) {
+    this.evictLabeledSeries(now)
+
+    const retentionStart = this.getRetentionStart(now)
+    const newValues = new Map()
+    samples.forEach(({timestamp, labels}) => {
+      // too old samples don't create series
+      if (!labels || timestamp < retentionStart || this.labeledSeries.has(getLabelsKey(labels))) return
+
+      Object.keys(labels).forEach(name => {
+        const value = String(labels[name])
+        const values = this.labelValues.get(name)
+        if (values && values.has(value)) return
+
+        if (!newValues.has(name)) newValues.set(name, new Set())
+        newValues.get(name).add(value)
+        if ((values ? values.size : 0) + newValues.get(name).size > this.maxLabelValues) {
+          throw new Error(`Too many values of label "${name}"`)
+        }
+      })
+    })
+  }
+
+  addLabelValues (labels) {
+    Object.keys(labels).forEach(name => {
+      if (!this.labelValues.has(name)) this.labelValues.set(name, new Set())
+      this.labelValues.get(name).add(labels[name])
+    })
+  }
+
+  // there could be thousands of series, so they are checked once per hour only
+  evictLabeledSeries (now) {
+    if (now - this.labelsEvictedAt < HOUR) return
+    this.labelsEvictedAt = now
+
+    const sizeBefore = this.labeledSeries.size
+    this.labeledSeries.forEach((series, key) => {
+      series.rollup.evict(now)
+      if (!series.rollup.buckets.length) this.labeledSeries.delete(key)
+    })
+
+    if (this.labeledSeries.size === sizeBefore) return
+    this.labelValues = new Map()
+    this.labeledSeries.forEach(series => this.addLabelValues(series.labels))
+  }
+
+  // queries with labels are answered from the labeled series, the rest - from the samples (or segments)
+  isLabeledQuery (labels) {
+    if (labels === undefined) return false
+    validateLabels(labels)
+
+    return Object.keys(labels).length > 0
+  }
+
+  // merged sketch and timeouts count of all the series which have the given labels
+  getLabeledSketch (days, labels) {
+    const {from, to} = this.getRange(days)
+    const names = Object.keys(labels)
+    const series = [...this.labeledSeries.values()].filter(v => names.every(name => v.labels[name] === String(labels[name])))
+
+    return this.getSeriesSketch(series, from, to)
+  }
+
+  getSeriesSketch (series, from, to) {
+    const sketch = new QuantileSketch(this.sketchAccuracy)
+    let timeouts = 0
+
+    series.forEach(v => v.rollup.getBuckets(from, to).forEach(bucket => {
+      sketch.merge(bucket.sketch)
+      timeouts += bucket.timeouts
+    }))
+
+    return {sketch, timeouts}
+  }
+
+  // stats of the window for every value of the label (among the series with the given labels)
+  groupBy (label, days = 7, labels = {}) {
+    if (typeof label !== 'string' || !label) throw new Error('Incorrect label value')
+    validateLabels(labels)
+    this.getRange(days)
+
+    return [...(this.labelValues.get(label) || [])].map(value => {
+      const groupLabels = Object.assign({}, labels, {[label]: value})
+
+      return {
+        labels: {[label]: value},
+        count: this.getTotals(days, groupLabels).length,
+        average: this.getAverage(days, groupLabels),
+        median: this.getMedian(days, groupLabels),
+        timeoutRate: this.getTimeoutRate(days, groupLabels)
+      }
+    }).filter(v => v.count || v.timeoutRate)
+  }
+
+  getSegment (timestamp) {
+    const start = Math.floor(timestamp / this.segmentDuration) * this.segmentDuration
+    let index = this.segments.length - 1
+    while (index >= 0 && this.segments[index].start > start) index--
+
+    let segment = this.segments[index]
+    if (!segment || segment.start !== start) {
+      segment = {start, histogram: new CountingHistogram(), timeouts: 0}
+      this.segments.splice(index + 1, 0, segment)
+    }
+
+    return segment
+  }
+
+  // Segments have no order inside, so the window is rounded up to whole segments (days)
+  getSegments (days = 7) {
+    const {from, to} = this.getRange(days)
+    if (this.mode !== MODES.histogram) throw new Error('Histogram is available in histogram mode only')
+
+    return this.segments.filter(v => v.start <= to && v.start + this.segmentDuration > from)
+  }
+
+  getHistogram (days = 7) {
+    return this.getSegments(days).reduce((result, v) => result.merge(v.histogram), new CountingHistogram())
+  }
+
+  getDatasetStartIndex (days = 7) {
+    const {from} = this.getRange(days)
+    return this.samples.lowerBound(from)
+  }
+
+  getDatasetEndIndex (days = 7) {
+    const {to} = this.getRange(days)
+    return this.samples.upperBound(to)
+  }
+
+  getDataset (days = 7) {
+    this.getRange(days)
+    if (this.mode === MODES.histogram) throw new Error('Dataset is not available in histogram mode')
+
+    // 20 000 requests per second
+    // means (20 000 * 60sec * 60mins * 24hours) 1 728 000 000 per day (12 096 000 000 at week)
+    const start = this.getDatasetStartIndex(days)
+    const end = this.getDatasetEndIndex(days)
+    return this.samples.slice(start, end)
+  }
+
+  getTimeoutsCount (days = 7, labels) {
+    const {from, to} = this.getRange(days)
+    if (this.isLabeledQuery(labels)) return this.getLabeledSketch(days, labels).timeouts
+    if (this.mode === MODES.histogram) return this.getSegments(days).reduce((c, v) => c + v.timeouts, 0)
+
+    return this.timeouts.upperBound(to) - this.timeouts.lowerBound(from)
+  }
+
+  // share of the requests in the window which have timed out
+  getTimeoutRate (days = 7, labels) {
+    const timeouts = this.getTimeoutsCount(days, labels)
+    const total = timeouts + this.getTotals(days, labels).length
+
+    return total ? timeouts / total : 0
+  }
+
+  // Sorted view of the window. Timeouts (if included) are the biggest values, so they go after the responses
+  getSortedWindow (days = 7, labels) {
+    if (this.isLabeledQuery(labels)) {
+      const {sketch, timeouts} = this.getLabeledSketch(days, labels)
+      if (this.includeTimeouts && timeouts) sketch.add(RESPONSE_TIMEOUT, timeouts)
+
+      return {length: sketch.length, getValuesAtRanks: ranks => sketch.getValuesAtRanks(ranks), forEachRun: fn => sketch.forEachRun(fn)}
+    }
+
+    const timeouts = this.includeTimeouts ? this.getTimeoutsCount(days) : 0
+
+    if (this.mode === MODES.histogram) {
+      const histogram = this.getHistogram(days)
+      if (timeouts) histogram.add(RESPONSE_TIMEOUT, timeouts)
+
+      return {length: histogram.length, getValuesAtRanks: ranks => histogram.getValuesAtRanks(ranks), forEachRun: fn => histogram.forEachRun(fn)}
+    }
+
+    const start = this.getDatasetStartIndex(days)
+    const end = this.getDatasetEndIndex(days)
+    const length = end - start
+
+    return {
+      length: length + timeouts,
+      // the window is copied to the reusable buffer and reordered there, the samples keep their order
+      getValuesAtRanks: ranks => {
+        const buffer = this.samples.copyTo(this.getSelectBuffer(length), start, end)
+        const values = selectRanks(buffer, length, ranks)
+        return ranks.map((rank, i) => (rank < length) ? values[i] : RESPONSE_TIMEOUT)
+      },
+      // equal values are adjacent in the sorted array
+      forEachRun: fn => {
+        const sortedArr = this.getDataset(days).sort((a, b) => a - b)
+        let runStart = 0
+        for (let i = 1; i <= sortedArr.length; i++) {
+          if (i === sortedArr.length || sortedArr[i] !== sortedArr[runStart]) {
+            fn(sortedArr[runStart], i - runStart)
+            runStart = i
+          }
+        }
+        if (timeouts) fn(RESPONSE_TIMEOUT, timeouts)
+      }
+    }
+  }
+
+  // grows by doubling, so the buffer is allocated O(log n) times over the collector lifetime
+  getSelectBuffer (length) {
+    if (!this.selectBuffer || this.selectBuffer.length < length) {
+      this.selectBuffer = new Float64Array(Math.max(length, this.selectBuffer ? this.selectBuffer.length * 2 : 1024))
+    }
+
+    return this.selectBuffer
+  }
+
+  // Descriptive statistics of the window from a single pass over the sorted window.
+  // Variance is the population one, it's calculated with Welford's algorithm (no big sums are involved).
+  // The mode is the most frequent value (the smallest one of equally frequent). In histogram mode
+  // the values are rounded to 1ms, with labels - to the sketch bins
+  getSummary (days = 7, labels) {
+    this.getRange(days)
+
+    const {length, forEachRun} = this.getSortedWindow(days, labels)
+    const quartileRanks = [25, 50, 75].map(p => getPercentileRanks(p, length))
+    const valuesByRank = new Map()
+    let count = 0
+    let mean = 0
+    let m2 = 0
+    let min = NaN
+    let max = NaN
+    let mode = NaN
+    let modeCount = 0
+
+    forEachRun((value, runCount) => {
+      quartileRanks.forEach(ranks => ranks.forEach(rank => {
+        if (rank >= count && rank < count + runCount) valuesByRank.set(rank, value)
+      }))
+
+      if (!count) min = value
+      max = value
+      if (runCount > modeCount) {
+        mode = value
+        modeCount = runCount
+      }
+
+      // weighted Welford's update: runCount values at once
+      count += runCount
+      const delta = value - mean
+      mean += delta * runCount / count
+      m2 += delta * (value - mean) * runCount
+    })
+
+    const [q1, median, q3] = [25, 50, 75].map(p => interpolatePercentile(p, length, rank => valuesByRank.get(rank)))
+    const variance = count ? m2 / count : NaN
+
+    return {count, min, max, average: mean, median, mode, variance, std: Math.sqrt(variance), q1, q3, iqr: q3 - q1}
+  }
+
+  getMedian (days = 7, labels) {
+    this.getRange(days)
+
+    const sortedWindow = this.getSortedWindow(days, labels)
+    const isEven = sortedWindow.length % 2 === 0
+    const middle = Math.floor(sortedWindow.length / 2)
+    const [lower, upper] = sortedWindow.getValuesAtRanks([middle - 1, middle])
+    return isEven ? ((upper + lower) / 2) : upper
+  }
+
+  getPercentile (percentile, days = 7, labels) {
+    return this.getPercentiles([percentile], days, labels)[0]
+  }
+
+  // all the percentiles are calculated from a single sort (or a single histogram pass)
+  getPercentiles (percentiles, days = 7, labels) {
+    validatePercentiles(percentiles)
+    this.getRange(days)
+
+    const {length, getValuesAtRanks} = this.getSortedWindow(days, labels)
+    const ranks = [].concat(...percentiles.map(p => getPercentileRanks(p, length)))
+    const values = getValuesAtRanks(ranks)
+    const valuesByRank = new Map(ranks.map((rank, i) => [rank, values[i]]))
+
+    return percentiles.map(p => interpolatePercentile(p, length, rank => valuesByRank.get(rank)))
+  }
+
+  snapshot (days = 7) {
+    const range = this.getRange(days)
+    const sketch = (this.mode === MODES.histogram)
+      ? this.getHistogram(days).toSketch(this.sketchAccuracy)
+      : this.getDataset(days).reduce((result, v) => {
+        result.add(v)
+        return result
+      }, new QuantileSketch(this.sketchAccuracy))
+
+    return new StatsSnapshot({from: range.from, to: range.to, sketch, timeouts: this.getTimeoutsCount(days)})
+  }
+
+  // snapshots could be either StatsSnapshot objects or their JSON
+  static merge (snapshots) {
+    if (!Array.isArray(snapshots)) throw new Error('Snapshots should be an array')
+
+    const parsed = snapshots.map(v => StatsSnapshot.fromJSON(v))
+    // the snapshots are merged into an empty one of their accuracy, so they aren't changed
+    const relativeAccuracy = parsed.length ? parsed[0].sketch.relativeAccuracy : undefined
+    return parsed.reduce((result, v) => result.merge(v), new StatsSnapshot({from: Infinity, sketch: new QuantileSketch(relativeAccuracy)}))
+  }
+
+  // Binary format: FILE_MAGIC, header length (uint32 LE), JSON header and then Float64 arrays:
+  // timestamps and values of the samples and timestamps of the timeouts (sort mode) or counts of every segment (histogram mode)
+  serialize () {
+    const header = {
+      mode: this.mode,
+      retentionDays: this.retentionDays,
+      sketchAccuracy: this.sketchAccuracy,
+      rollups: [...this.rollups.values()].map(v => ({
+        resolution: v.resolution,
+        retentionDays: v.retentionDays,
+        buckets: serializeBuckets(v.buckets)
+      })),
+      length: this.length,
+      sum: this.sum,
+      ave: this.ave,
+      timeoutsCount: this.timeoutsCount,
+      maxLabelValues: this.maxLabelValues,
+      integerMs: this.integerMs,
+      labeledSeries: [...this.labeledSeries.values()].map(v => ({labels: v.labels, buckets: serializeBuckets(v.rollup.buckets)}))
+    }
+
+    let arrays
+    if (this.mode === MODES.histogram) {
+      header.segments = this.segments.map(v => ({start: v.start, length: v.histogram.length, sum: v.histogram.sum, timeouts: v.timeouts}))
+      arrays = this.segments.map(v => v.histogram.counts)
+    } else {
+      arrays = [Float64Array.from(this.timestamps), Float64Array.from(this.data), Float64Array.from(this.timeouts.getTimestamps())]
+    }
+
+    const headerBuffer = Buffer.from(JSON.stringify(header))
+    const prefix = Buffer.alloc(8)
+    prefix.write(FILE_MAGIC, 0, 'latin1')
+    prefix.writeUInt32LE(headerBuffer.length, 4)
+
+    return Buffer.concat([prefix, headerBuffer, ...arrays.map(v => Buffer.from(v.buffer, v.byteOffset, v.byteLength))])
+  }
+
+  // options which can't be serialized (e.g. clock) could be provided again
+  static deserialize (buffer, options = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8 || buffer.toString('latin1', 0, 4) !== FILE_MAGIC) throw new Error('Incorrect file format')
+
+    const headerLength = buffer.readUInt32LE(4)
+    if (8 + headerLength > buffer.length) throw new Error('Incorrect file format')
+    const header = parseFileHeader(buffer.toString('utf8', 8, 8 + headerLength))
+    const {mode, retentionDays, sketchAccuracy, rollups, maxLabelValues, integerMs} = header
+    const collector = new StatsCollector(Object.assign({}, options, {mode, retentionDays, sketchAccuracy, rollups, maxLabelValues, integerMs}))
+
+    let offset = 8 + headerLength
+    const readArray = (length) => {
+      const end = offset + length * Float64Array.BYTES_PER_ELEMENT
+      if (end > buffer.length) throw new Error('Incorrect file format')
+
+      // slice copies the bytes, so the array is properly aligned
+      const result = new Float64Array(buffer.buffer.slice(buffer.byteOffset + offset, buffer.byteOffset + end))
+      offset = end
+      return result
+    }
+
+    if (mode === MODES.histogram) {
+      collector.segments = header.segments.map(({start, length, sum, timeouts}) => {
+        const histogram = new CountingHistogram()
+        histogram.counts = readArray(histogram.counts.length)
+        return {start, histogram: Object.assign(histogram, {length, sum}), timeouts}
+      })
+    } else {
+      const timestamps = readArray(header.length)
+      const values = readArray(header.length)
+      values.forEach((v, i) => collector.samples.push(v, timestamps[i]))
+      readArray(header.timeoutsCount).forEach(v => collector.timeouts.push(RESPONSE_TIMEOUT, v))
+      collector.slidingWindows.forEach(v => v.reset(collector.now()))
+    }
+
+    rollups.forEach(v => {
+      collector.rollups.get(v.resolution).buckets = deserializeBuckets(v.buckets)
+    })
+    header.labeledSeries.forEach(({labels, buckets}) => {
+      collector.getLabeledSeries(labels).buckets = deserializeBuckets(buckets)
+    })
+
+    return Object.assign(collector, {length: header.length, sum: header.sum, ave: header.ave, timeoutsCount: header.timeoutsCount})
+  }
+
+  // the file is replaced only when it's completely written
+  async saveTo (path) {
+    const tmpPath = `${path}.tmp`
+    await promisify(fs.writeFile)(tmpPath, this.serialize())
+    await promisify(fs.rename)(tmpPath, path)
+  }
+
+  static async loadFrom (path, options = {}) {
+    return StatsCollector.deserialize(await promisify(fs.readFile)(path), options)
+  }
+
+  // per-bucket aggregates, so dashboards don't need to re-scan the samples
+  getSeries ({resolution = HOUR, from, to} = {}) {
+    if (!this.rollups.has(resolution)) throw new Error('Incorrect resolution value')
+    const range = this.getRange({from, to})
+
+    return this.rollups.get(resolution).getSeries(range.from, range.to)
+  }
+
+  // count, sum and average of the responses in the window, cached ones when the window covers all the retained data
+  getTotals (days = 7, labels) {
+    if (this.isLabeledQuery(labels)) {
+      const {sketch} = this.getLabeledSketch(days, labels)
+      return {length: sketch.length, sum: sketch.sum, ave: sketch.getAverage()}
+    }
+
+    const cached = {length: this.length, sum: this.sum, ave: this.ave}
+    let length = 0
+    let sum = 0
+
+    if (this.mode === MODES.histogram) {
+      const segments = this.getSegments(days)
+      if (segments.length === this.segments.length) return cached
+
+      segments.forEach(({histogram}) => {
+        length += histogram.length
+        sum += histogram.sum
+      })
+    } else {
+      const start = this.getDatasetStartIndex(days)
+      const end = this.getDatasetEndIndex(days)
+      if (start === 0 && end === this.samples.length) return cached
+
+      const dataset = this.getDataset(days)
+      length = dataset.length
+      sum = dataset.reduce((c, v) => c + v, 0)
+    }
+
+    return {length, sum, ave: length ? sum / length : 0}
+  }
+
+  getAverage (days = 7, labels) {
+    this.getRange(days)
+
+    const timeouts = this.includeTimeouts ? this.getTimeoutsCount(days, labels) : 0
+    const {length, sum, ave} = this.getTotals(days, labels)
+    if (!timeouts) return ave
+
+    return (sum + RESPONSE_TIMEOUT * timeouts) / (length + timeouts)
+  }
+
+  // Prometheus text exposition format (0.0.4) of the window: a summary (or a histogram) of the response times
+  // and a gauge of the timeouts. The unlabeled sample covers all the responses, labeled ones - their series only,
+  // so they shouldn't be summed together. Count and sum are the window totals, they aren't monotonic counters.
+  // Quantiles of the unlabeled sample are exact, the rest has the sketch relative accuracy. So are the buckets:
+  // exact counts of the unlabeled sample in sort mode, the rest counts values within the accuracy of the bound
+  // (e.g. 5.04 could be counted in le="5")
+  toPrometheus ({name = 'response_time_ms', days = 7, type = 'summary', quantiles = DEFAULT_QUANTILES, buckets = DEFAULT_BUCKETS} = {}) {
+    if (typeof name !== 'string' || !/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new Error('Incorrect name value')
+    if (!METRIC_TYPES.includes(type)) throw new Error('Incorrect type value')
+    if (!Array.isArray(quantiles) || quantiles.some(q => !Number.isFinite(q) || q < 0 || q > 1)) throw new Error('Incorrect quantiles value')
+    if (!Array.isArray(buckets) || buckets.some((v, i) => !Number.isFinite(v) || v <= buckets[i - 1])) throw new Error('Incorrect buckets value')
+    const {from, to} = this.getRange(days)
+
+    const series = [{labels: {}, stats: this.snapshot(days)}]
+    this.labeledSeries.forEach(v => series.push({labels: v.labels, stats: this.getSeriesSketch([v], from, to)}))
+
+    const lines = [
+      `# HELP ${name} Response time in milliseconds.`,
+      `# TYPE ${name} ${type}`
+    ]
+    series.forEach(({labels, stats}) => {
+      const {sketch, timeouts} = stats
+      if (this.includeTimeouts && timeouts) sketch.add(RESPONSE_TIMEOUT, timeouts)
+      const sample = (suffix, value, extraLabels = {}) => {
+        lines.push(`${name}${suffix}${formatMetricLabels(Object.assign({}, labels, extraLabels))} ${formatMetricValue(value)}`)
+      }
+
+      if (type === 'summary') {
+        const values = Object.keys(labels).length
+          ? sketch.getPercentiles(quantiles.map(q => q * 100))
+          : this.getPercentiles(quantiles.map(q => q * 100), days)
+        quantiles.forEach((q, i) => sample('', values[i], {quantile: q}))
+      } else {
+        const counts = (Object.keys(labels).length || this.mode === MODES.histogram)
+          ? buckets.map(le => sketch.getCountAtMost(le))
+          : getBucketCounts(this.getDataset(days), buckets).map((v, i) => v + (this.includeTimeouts && buckets[i] >= RESPONSE_TIMEOUT ? timeouts : 0))
+        buckets.forEach((le, i) => sample('_bucket', counts[i], {le}))
+        sample('_bucket', sketch.length, {le: '+Inf'})
+      }
+      sample('_sum', sketch.sum)
+      sample('_count', sketch.length)
+    })
+
+    lines.push(
+      `# HELP ${name}_timeouts Requests timed out in the window.`,
+      `# TYPE ${name}_timeouts gauge`
+    )
+    series.forEach(({labels, stats}) => lines.push(`${name}_timeouts${formatMetricLabels(labels)} ${stats.timeouts}`))
+
+    return lines.join('\n') + '\n'
+  }
+
+  // handler for http.createServer (or Express), it serves toPrometheus() on /metrics and 404 on the rest
+  createMetricsHandler (options = {}) {
+    return (req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404, {'Content-Type': 'text/plain; charset=utf-8'})
+        res.end('Not Found\n')
+        return
+      }
+
+      let body
+      try {
+        body = this.toPrometheus(options)
+      } catch (err) {
+        res.writeHead(500, {'Content-Type': 'text/plain; charset=utf-8'})
+        res.end(`${err.message}\n`)
+        return
+      }
+
+      res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'})
+      res.end(body)
+    }
+  }
+}
+
+// Rules over the collector queries, e.g. p99 of the last 5 minutes > 2000ms for 3 consecutive evaluations:
+//   {name: 'slow', stat: 'percentile', percentile: 99, window: 5 * MINUTE, threshold: 2000, for: 3}
+// or the median of the last day rose 50% over the median of the previous day:
+//   {name: 'slower', window: DAY, baseline: {offset: DAY}, threshold: 1.5}
+// A fired rule is resolved when the value gets back under resolveThreshold ('>' rules) or over it ('<' rules)
+// for resolveAfter evaluations (hysteresis).
+// Time is taken from the collector clock, so evaluate() with a fake clock is deterministic.
+// Labeled (and histogram mode) queries are answered from daily buckets, so their windows and offsets
+// should be whole days: a 5 minutes window would be evaluated over the whole day
+class AlertEvaluator {
+  constructor (collector, {onFire = () => {}, onResolve = () => {}, timers = {setInterval, clearInterval}} = {}) {
+    if (!(collector instanceof StatsCollector)) throw new Error('Incorrect collector value')
+    if (typeof onFire !== 'function') throw new Error('Incorrect onFire value')
+    if (typeof onResolve !== 'function') throw new Error('Incorrect onResolve value')
+
+    this.collector = collector
+    this.onFire = onFire
+    this.onResolve = onResolve
+    this.timers = timers
+    this.rules = new Map()
+    this.interval = null
+  }
+
+  addRule ({
+    name,
+    stat = 'median',
+    percentile,
+    window = 5 * MINUTE,
+    labels,
+    baseline,
+    operator = '>',
+    threshold,
+    resolveThreshold = threshold,
+    for: fireAfter = 1,
+    resolveAfter = 1
+  } = {}) {
+    if (typeof name !== 'string' || !name) throw new Error('Incorrect name value')
+    if (this.rules.has(name)) throw new Error(`Rule "${name}" already exists`)
+    if (!ALERT_OPERATORS.includes(operator)) throw new Error('Incorrect operator value')
+    if (!Number.isFinite(threshold)) throw new Error('Incorrect threshold value')
+    if (!Number.isFinite(resolveThreshold) || (operator === '>' ? resolveThreshold > threshold : resolveThreshold < threshold)) {
+      throw new Error('Incorrect resolveThreshold value')
+    }
+    if (!Number.isInteger(fireAfter) || fireAfter < 1) throw new Error('Incorrect for value')
+    if (!Number.isInteger(resolveAfter) || resolveAfter < 1) throw new Error('Incorrect resolveAfter value')
+    if (baseline !== undefined && (baseline === null || typeof baseline !== 'object')) throw new Error('Incorrect baseline value')
+
+    const query = this.createQuery({stat, percentile, window, labels, offset: 0})
+    // the baseline is the same query over the previous window by default
+    const baselineQuery = baseline && this.createQuery(Object.assign({}, query, {offset: query.window}, baseline))
+
+    const rule = {name, query, baselineQuery, operator, threshold, resolveThreshold, fireAfter, resolveAfter}
+    rule.state = {firing: false, value: NaN, breaches: 0, recoveries: 0, firedAt: null}
+    this.rules.set(name, rule)
+
+    return this
+  }
+
+  createQuery ({stat, percentile, window, labels, offset}) {
+    if (!ALERT_STATS.includes(stat)) throw new Error('Incorrect stat value')
+    if (stat === 'percentile') validatePercentiles([percentile])
+    if (!Number.isFinite(window) || window <= 0) throw new Error('Incorrect window value')
+    if (!Number.isFinite(offset) || offset < 0) throw new Error('Incorrect offset value')
+    if (labels !== undefined) validateLabels(labels)
+
+    const isDaily = (labels !== undefined && Object.keys(labels).length > 0) || this.collector.mode === MODES.histogram
+    if (isDaily && (window % DAY || offset % DAY)) throw new Error('Windows of labeled and histogram mode queries should be whole days')
+
+    return {stat, percentile, window, labels, offset}
+  }
+
+  removeRule (name) {
+    return this.rules.delete(name)
+  }
+
+  getState (name) {
+    const rule = this.rules.get(name)
+    return rule ? Object.assign({name}, rule.state) : null
+  }
+
+  getValue ({stat, percentile, window, labels, offset}, now) {
+    const range = {from: now - offset - window, to: now - offset}
+    if (stat === 'percentile') return this.collector.getPercentile(percentile, range, labels)
+    if (stat === 'average') return this.collector.getAverage(range, labels)
+
+    return this.collector.getMedian(range, labels)
+  }
+
+  // Evaluations without data (NaN value) don't change the state of the rule
+  evaluate () {
+    const now = this.collector.now()
+
+    return [...this.rules.values()].map(rule => {
+      const {state, operator, threshold, resolveThreshold} = rule
+      const value = rule.baselineQuery
+        ? this.getValue(rule.query, now) / this.getValue(rule.baselineQuery, now)
+        : this.getValue(rule.query, now)
+      state.value = value
+
+      if (!Number.isNaN(value) && !state.firing) {
+        const isBreached = (operator === '>') ? value > threshold : value < threshold
+        state.breaches = isBreached ? state.breaches + 1 : 0
+
+        if (state.breaches >= rule.fireAfter) {
+          Object.assign(state, {firing: true, firedAt: now, recoveries: 0})
+          this.onFire(this.getAlert(rule, now))
+        }
+      } else if (!Number.isNaN(value)) {
+        const isRecovered = (operator === '>') ? value <= resolveThreshold : value >= resolveThreshold
+        state.recoveries = isRecovered ? state.recoveries + 1 : 0
+
+        if (state.recoveries >= rule.resolveAfter) {
+          const alert = this.getAlert(rule, now)
+          Object.assign(state, {firing: false, firedAt: null, breaches: 0})
+          this.onResolve(alert)
+        }
+      }
+
+      return this.getState(rule.name)
+    })
+  }
+
+  getAlert ({name, query, threshold, state}, now) {
+    return {name, labels: query.labels, value: state.value, threshold, firedAt: state.firedAt, at: now}
+  }
+
+  start (intervalMs = MINUTE) {
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) throw new Error('Incorrect intervalMs value')
+
+    this.stop()
+    this.interval = this.timers.setInterval(() => this.evaluate(), intervalMs)
+    return this
+  }
+
+  stop () {
+    if (this.interval !== null) this.timers.clearInterval(this.interval)
+    this.interval = null
+    return this
+  }
+}
+
+module.exports = {
+  StatsCollector,
+  StatsSnapshot,
+  QuantileSketch,
+  AlertEvaluator,
+  validateSample,
+  validateTimeout,
+  MODES,
+  SECOND,
+  MINUTE,
+  HOUR,
+  DAY,
+  RESPONSE_TIMEOUT
+}
+
+// TODO (S.Panfilov)
+// the module is required by the CLI too, so the tests are defined under mocha only
+const describe = global.describe || (() => {})
+const sinon = global.describe && require('sinon')
+const expect = global.describe && require('chai').expect
+//
+
+// Configure Mocha, telling both it and chai to use BDD-style tests.
+// mocha.setup("bdd")
+// const expect = chai.expect
+
+// describe('StatsCollector', () => {
+//   it('it should have tests', () => {
+//     true.should.equal(true)
+//   })
+// })
+
+// Tests
+
+describe('StatsCollector.', () => {
+  describe('constructor.', () => {
+    it('should create proper object', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(statsCollector.data).to.be.deep.equal([])
+      expect(statsCollector.ave).to.be.equal(0)
+      expect(statsCollector.sum).to.be.equal(0)
+    })
+
+    it('should create object without data in histogram mode', () => {
+      const statsCollector = new StatsCollector({mode: 'histogram'})
+
+      expect(statsCollector.data).to.be.equal(null)
+      expect(statsCollector.segments.length).to.be.equal(0)
+      expect(statsCollector.ave).to.be.equal(0)
+      expect(statsCollector.sum).to.be.equal(0)
+    })
+
+    it('should throw an error on wrong mode', () => {
+      const expectedResult = 'Incorrect mode value'
+
+      expect(() => new StatsCollector({mode: ''})).to.throw(expectedResult)
+      expect(() => new StatsCollector({mode: 'tree'})).to.throw(expectedResult)
+      expect(() => new StatsCollector({mode: null})).to.throw(expectedResult)
+    })
+
+    it('should throw an error on wrong clock', () => {
+      const expectedResult = 'Incorrect clock value'
+
+      expect(() => new StatsCollector({clock: 123})).to.throw(expectedResult)
+      expect(() => new StatsCollector({clock: null})).to.throw(expectedResult)
+    })
+
+    it('should throw an error on wrong sketchAccuracy', () => {
+      const expectedResult = 'Incorrect sketchAccuracy value'
+
+      expect(() => new StatsCollector({sketchAccuracy: 5})).to.throw(expectedResult)
+      expect(() => new StatsCollector({sketchAccuracy: 0})).to.throw(expectedResult)
+      expect(() => new StatsCollector({sketchAccuracy: '0.01'})).to.throw(expectedResult)
+      expect(new StatsCollector({sketchAccuracy: 0.05}).sketchAccuracy).to.be.equal(0.05)
+    })
+  })
+
+  describe('getAverage.', () => {
+    it('should return 0 on empty data', () => {
+      const statsCollector = new StatsCollector()
+
+      const result = statsCollector.getAverage()
+
+      expect(result).to.be.equal(0)
+    })
+
+    it('should return average on single value', () => {
+      const val = 123
+      const statsCollector = new StatsCollector()
+      statsCollector.pushValue(val)
+
+      const result = statsCollector.getAverage()
+
+      expect(result).to.be.equal(val)
+    })
+
+    it('should return average on multiple values', () => {
+      const values = [10, 20, 30]
+      const statsCollector = new StatsCollector()
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+      statsCollector.pushValue(values[2])
+
+      const result = statsCollector.getAverage()
+      const expectedVal = values.reduce((c, v) => c + v) / values.length
+
+      expect(result).to.be.equal(expectedVal)
+    })
+
+    it('should return cached value when dataset is equal to whole data', () => {
+      const values = [10, 20, 30]
+      const statsCollector = new StatsCollector()
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+      statsCollector.pushValue(values[2])
+
+      const result = statsCollector.getAverage()
+      const expectedVal = values.reduce((c, v) => c + v) / values.length
+
+      expect(statsCollector.ave).to.be.equal(result)
+      expect(result).to.be.equal(expectedVal)
+    })
+
+    it('should return calculated value when dataset is not equal to data', () => {
+      const values = [10, 20, 30]
+      const statsCollector = new StatsCollector()
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+      statsCollector.pushValue(values[2])
+
+      // dirty hack for mocking, cause don't want to add sinon here
+      statsCollector.getDatasetStartIndex = function () {
+        return 1
+      }
+
+      const result = statsCollector.getAverage()
+      const wholeDataAve = values.reduce((c, v) => c + v) / values.length
+      const datasetAve = (values[1] + values[2]) / 2
+
+      expect(statsCollector.ave).to.be.equal(wholeDataAve)
+      expect(statsCollector.ave).to.be.not.equal(datasetAve)
+      expect(result).to.be.equal(datasetAve)
+    })
+
+    it('should throw an error on wrong days argument', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect days value'
+
+      expect(() => statsCollector.getAverage('')).to.throw(expectedResult)
+      expect(() => statsCollector.getAverage('3')).to.throw(expectedResult)
+      expect(() => statsCollector.getAverage('seven')).to.throw(expectedResult)
+      expect(() => statsCollector.getAverage(null)).to.throw(expectedResult)
+      expect(() => statsCollector.getAverage({})).to.throw(expectedResult)
+      expect(() => statsCollector.getAverage([])).to.throw(expectedResult)
+      expect(() => statsCollector.getAverage(Infinity)).to.throw(expectedResult)
+    })
+
+    it('should throw an error when days is negative', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Negative days not allowed'
+
+      expect(() => statsCollector.getAverage(-1)).to.throw(expectedResult)
+      expect(() => statsCollector.getAverage(-10)).to.throw(expectedResult)
+    })
+  })
+
+  describe('getMedian.', () => {
+    it('should calculate the median request time with 1 request', () => {
+      const val = 10
+      const statsCollector = new StatsCollector()
+      statsCollector.pushValue(val)
+
+      const result = statsCollector.getMedian()
+
+      expect(result).to.be.equal(val)
+    })
+
+    it('should return median in case of even length', () => {
+      const values = [10, 20]
+
+      const statsCollector = new StatsCollector()
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+
+      expect(values.length % 2).to.be.eq(0)
+
+      const result = statsCollector.getMedian()
+      const expectedResult = (values[0] + values[1]) / values.length
+
+      expect(result).to.be.equal(expectedResult)
+    })
+
+    it('should return median in case of odd length', () => {
+      const values = [10, 60, 30, 40, 50, 20, 70]
+      const statsCollector = new StatsCollector()
+      values.forEach(v => statsCollector.pushValue(v))
+      expect(values.length % 2).to.be.eq(1)
+
+      const result = statsCollector.getMedian()
+      const sortedVals = values.sort((a, b) => a - b)
+      const expectedVal = sortedVals[Math.floor(sortedVals.length / 2)]
+
+      expect(result).to.be.eq(expectedVal)
+    })
+
+    it('should throw an error on wrong days argument', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect days value'
+
+      expect(() => statsCollector.getMedian('')).to.throw(expectedResult)
+      expect(() => statsCollector.getMedian('3')).to.throw(expectedResult)
+      expect(() => statsCollector.getMedian('seven')).to.throw(expectedResult)
+      expect(() => statsCollector.getMedian(null)).to.throw(expectedResult)
+      expect(() => statsCollector.getMedian({})).to.throw(expectedResult)
+      expect(() => statsCollector.getMedian([])).to.throw(expectedResult)
+      expect(() => statsCollector.getMedian(Infinity)).to.throw(expectedResult)
+    })
+
+    it('should throw an error when days is negative', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Negative days not allowed'
+
+      expect(() => statsCollector.getMedian(-1)).to.throw(expectedResult)
+      expect(() => statsCollector.getMedian(-10)).to.throw(expectedResult)
+    })
+  })
+
+  describe('getPercentile.', () => {
+    it('should return exact percentiles on small dataset', () => {
+      const values = [15, 20, 35, 40, 50]
+      const statsCollector = new StatsCollector()
+      values.forEach(v => statsCollector.pushValue(v))
+
+      expect(statsCollector.getPercentile(0)).to.be.equal(15)
+      expect(statsCollector.getPercentile(25)).to.be.equal(20)
+      expect(statsCollector.getPercentile(40)).to.be.equal(29)
+      expect(statsCollector.getPercentile(90)).to.be.equal(46)
+      expect(statsCollector.getPercentile(100)).to.be.equal(50)
+    })
+
+    it('should return median as 50th percentile', () => {
+      const vectors = [[10], [10, 20], [10, 60, 30, 40, 50, 20, 70]]
+
+      vectors.forEach(values => {
+        const statsCollector = new StatsCollector()
+        values.forEach(v => statsCollector.pushValue(v))
+
+        expect(statsCollector.getPercentile(50)).to.be.equal(statsCollector.getMedian())
+      })
+    })
+
+    it('should return same percentiles in histogram mode', () => {
+      const values = [1, 5, 7, 100, 250, 900, 1000, 1001, 18000, 19000]
+      const sortCollector = new StatsCollector()
+      const histogramCollector = new StatsCollector({mode: 'histogram'})
+      values.forEach(v => {
+        sortCollector.pushValue(v)
+        histogramCollector.pushValue(v)
+      })
+
+      const percentiles = [0, 10, 50, 90, 95, 99, 99.9, 100]
+
+      expect(histogramCollector.getPercentiles(percentiles)).to.be.deep.equal(sortCollector.getPercentiles(percentiles))
+    })
+
+    it('should return NaN on empty data', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(Number.isNaN(statsCollector.getPercentile(99))).to.be.equal(true)
+    })
+
+    it('should throw an error on wrong percentile argument', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect percentile value'
+
+      expect(() => statsCollector.getPercentile('')).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile('99')).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile(null)).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile(NaN)).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile()).to.throw(expectedResult)
+    })
+
+    it('should throw an error when percentile is out of range', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Percentile should be between 0 and 100'
+
+      expect(() => statsCollector.getPercentile(-1)).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile(100.1)).to.throw(expectedResult)
+    })
+
+    it('should throw an error on wrong days argument', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect days value'
+
+      expect(() => statsCollector.getPercentile(99, '')).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile(99, '3')).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile(99, null)).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile(99, {})).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentile(99, Infinity)).to.throw(expectedResult)
+    })
+
+    it('should throw an error when days is negative', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.getPercentile(99, -1)).to.throw('Negative days not allowed')
+    })
+  })
+
+  describe('getPercentiles.', () => {
+    it('should return percentiles in requested order', () => {
+      const statsCollector = new StatsCollector()
+      for (let i = 1; i <= 1000; i++) statsCollector.pushValue(i)
+
+      const result = statsCollector.getPercentiles([99.9, 50, 90, 95, 99])
+      const expectedResult = [999.001, 500.5, 900.1, 950.05, 990.01]
+
+      expect(result.length).to.be.equal(expectedResult.length)
+      result.forEach((v, i) => expect(v).to.be.closeTo(expectedResult[i], 1e-9))
+    })
+
+    it('should copy the window only once', () => {
+      const statsCollector = new StatsCollector()
+      const values = [3, 1, 2]
+      values.forEach(v => statsCollector.pushValue(v))
+      const copyTo = sinon.spy(statsCollector.samples, 'copyTo')
+
+      expect(statsCollector.getPercentiles([50, 90, 99])).to.be.deep.equal([2, 2.8, 2.98])
+      expect(copyTo.calledOnce).to.be.equal(true)
+    })
+
+    it('should throw an error when percentiles isn\'t an array', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Percentiles should be an array'
+
+      expect(() => statsCollector.getPercentiles()).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentiles(99)).to.throw(expectedResult)
+      expect(() => statsCollector.getPercentiles('99')).to.throw(expectedResult)
+    })
+
+    it('should throw an error on wrong days argument', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.getPercentiles([99], 'seven')).to.throw('Incorrect days value')
+      expect(() => statsCollector.getPercentiles([99], -10)).to.throw('Negative days not allowed')
+    })
+  })
+
+  describe('getDataset.', () => {
+    it('should return proper slice of data', () => {
+      const values = [1, 2, 3]
+      const statsCollector = new StatsCollector()
+
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+      statsCollector.pushValue(values[2])
+
+      statsCollector.getDatasetStartIndex = () => 0
+      expect(statsCollector.getDataset(0)).to.be.deep.equal(values)
+
+      statsCollector.getDatasetStartIndex = () => 1
+      expect(statsCollector.getDataset(1)).to.be.deep.equal(values.slice(1, values.length))
+
+      statsCollector.getDatasetStartIndex = () => 2
+      expect(statsCollector.getDataset(1)).to.be.deep.equal(values.slice(2, values.length))
+    })
+
+    it('should throw an error on wrong days argument', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect days value'
+
+      expect(() => statsCollector.getDataset('')).to.throw(expectedResult)
+      expect(() => statsCollector.getDataset('3')).to.throw(expectedResult)
+      expect(() => statsCollector.getDataset('seven')).to.throw(expectedResult)
+      expect(() => statsCollector.getDataset(null)).to.throw(expectedResult)
+      expect(() => statsCollector.getDataset({})).to.throw(expectedResult)
+      expect(() => statsCollector.getDataset([])).to.throw(expectedResult)
+      expect(() => statsCollector.getDataset(Infinity)).to.throw(expectedResult)
+    })
+
+    it('should throw an error when days is negative', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Negative days not allowed'
+
+      expect(() => statsCollector.getDataset(-1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDataset(-10)).to.throw(expectedResult)
+    })
+  })
+
+  describe('getDatasetStartIndex.', () => {
+    it('should return 0 if data length shorter then range', () => {
+      const values = [1, 2, 3]
+      const statsCollector = new StatsCollector()
+      const days = 1
+
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+      statsCollector.pushValue(values[2])
+
+      const expectedResult = statsCollector.getDatasetStartIndex(days)
+
+      expect(expectedResult).to.be.equal(0)
+    })
+
+    it('should return index of the first sample inside the range', () => {
+      let now = 0
+      const statsCollector = new StatsCollector({clock: () => now})
+
+      statsCollector.pushValue(1, 0)
+      statsCollector.pushValue(2, DAY)
+      statsCollector.pushValue(3, DAY * 2)
+      now = DAY * 2
+
+      expect(statsCollector.getDatasetStartIndex(1)).to.be.equal(1)
+      expect(statsCollector.getDatasetStartIndex(0.5)).to.be.equal(2)
+      expect(statsCollector.getDatasetStartIndex({from: 1})).to.be.equal(1)
+      expect(statsCollector.getDatasetEndIndex({from: 0, to: DAY})).to.be.equal(2)
+    })
+
+    it('should throw an error on wrong days argument', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect days value'
+
+      expect(() => statsCollector.getDatasetStartIndex('', 1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDatasetStartIndex('3', 1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDatasetStartIndex('seven', 1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDatasetStartIndex(null, 1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDatasetStartIndex({}, 1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDatasetStartIndex([], 1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDatasetStartIndex(Infinity, 1)).to.throw(expectedResult)
+    })
+
+    it('should throw an error when days is negative', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Negative days not allowed'
+
+      expect(() => statsCollector.getDatasetStartIndex(-1, 1)).to.throw(expectedResult)
+      expect(() => statsCollector.getDatasetStartIndex(-10, 1)).to.throw(expectedResult)
+    })
+  })
+
+  describe('pushValue.', () => {
+    it('should round values with integerMs', () => {
+      const statsCollector = new StatsCollector({integerMs: true})
+      statsCollector.pushValue(10.4)
+      statsCollector.pushValue(10.6)
+
+      expect(statsCollector.data).to.be.deep.equal([10, 11])
+      expect(statsCollector.sum).to.be.equal(21)
+      expect(StatsCollector.deserialize(statsCollector.serialize()).samples.chunks[0].values).to.be.instanceof(Uint32Array)
+      expect(() => new StatsCollector({integerMs: 1})).to.throw('Incorrect integerMs value')
+    })
+
+    it('should clamp the values of integerMs to Uint32Array', () => {
+      const statsCollector = new StatsCollector({integerMs: true})
+      statsCollector.pushValue(5e9)
+      statsCollector.pushValue(5e9)
+
+      expect(statsCollector.data).to.be.deep.equal([0xFFFFFFFF, 0xFFFFFFFF])
+      expect(statsCollector.getMedian()).to.be.equal(0xFFFFFFFF)
+      expect(statsCollector.getAverage()).to.be.equal(0xFFFFFFFF)
+    })
+
+    it('should add value to data', () => {
+      const statsCollector = new StatsCollector()
+      const values = [1, 2, 10]
+
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+      statsCollector.pushValue(values[2])
+
+      expect(statsCollector.data).to.deep.equal(values)
+    })
+
+    it('should update static fields on add', () => {
+      const statsCollector = new StatsCollector()
+      const values = [1, 2, 10]
+
+      statsCollector.pushValue(values[0])
+      statsCollector.pushValue(values[1])
+      statsCollector.pushValue(values[2])
+
+      const expectedAve = values.reduce((c, v) => c + v) / values.length
+      const expectedSum = values.reduce((c, v) => c + v)
+
+      expect(statsCollector.ave).to.deep.equal(expectedAve)
+      expect(statsCollector.sum).to.deep.equal(expectedSum)
+    })
+
+    it('should throw an error when value has incorrect type', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect responseTimeMs value'
+
+      expect(() => statsCollector.pushValue('')).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue(null)).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue({})).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue([])).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue('10')).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue(undefined)).to.throw(expectedResult)
+    })
+
+    it('should throw an error when responseTimeMs is negative', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Negative responseTimeMs not allowed'
+
+      expect(() => statsCollector.pushValue(-1)).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue(-10)).to.throw(expectedResult)
+    })
+
+    it('should use clock when timestamp is not provided', () => {
+      const statsCollector = new StatsCollector({clock: () => 12345})
+
+      statsCollector.pushValue(10)
+
+      expect(statsCollector.timestamps).to.be.deep.equal([12345])
+    })
+
+    it('should keep samples sorted by timestamp', () => {
+      const statsCollector = new StatsCollector({clock: () => 300})
+
+      statsCollector.pushValue(1, 100)
+      statsCollector.pushValue(2, 300)
+      statsCollector.pushValue(3, 200)
+      statsCollector.pushValue(4, 300)
+      statsCollector.pushValue(5, 50)
+
+      expect(statsCollector.timestamps).to.be.deep.equal([50, 100, 200, 300, 300])
+      expect(statsCollector.data).to.be.deep.equal([5, 1, 3, 2, 4])
+    })
+
+    it('should throw an error when timestamp has incorrect type', () => {
+      const statsCollector = new StatsCollector()
+
+      const expectedResult = 'Incorrect timestamp value'
+
+      expect(() => statsCollector.pushValue(1, '')).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue(1, null)).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue(1, '10')).to.throw(expectedResult)
+      expect(() => statsCollector.pushValue(1, Infinity)).to.throw(expectedResult)
+    })
+  })
+
+  describe('pushValues.', () => {
+    it('should push an array and a typed array', () => {
+      const statsCollector = new StatsCollector({clock: () => DAY})
+
+      expect(statsCollector.pushValues([3, 1])).to.be.deep.equal({pushed: 2, skipped: 0, outOfWindow: 0})
+      expect(statsCollector.pushValues(new Uint16Array([2, 20000]))).to.be.deep.equal({pushed: 2, skipped: 0, outOfWindow: 0})
+
+      expect(statsCollector.data).to.be.deep.equal([3, 1, 2, 20000])
+      expect(statsCollector).to.include({length: 4, sum: 20006, timeoutsCount: 0})
+    })
+
+    it('should push the timeouts', () => {
+      const statsCollector = new StatsCollector({clock: () => DAY})
+
+      expect(statsCollector.pushValues([1, {timeout: true, labels: {route: '/a'}}, {timeout: true, timestamp: DAY - HOUR}])).to.be.deep.equal({pushed: 3, skipped: 0, outOfWindow: 0})
+
+      expect(statsCollector).to.include({length: 1, timeoutsCount: 2})
+      expect(statsCollector.getTimeoutsCount(7, {route: '/a'})).to.be.equal(1)
+      expect(() => statsCollector.pushValues([{timeout: true, timestamp: 'now'}])).to.throw('Incorrect timestamp value')
+    })
+
+    it('should count the samples older than the retention', () => {
+      const statsCollector = new StatsCollector({clock: () => 3 * DAY, retentionDays: 1})
+
+      const result = statsCollector.pushValues([1, {responseTimeMs: 2, timestamp: DAY}, {timeout: true, timestamp: DAY}])
+
+      expect(result).to.be.deep.equal({pushed: 1, skipped: 0, outOfWindow: 2})
+      expect(statsCollector).to.include({length: 1, timeoutsCount: 0})
+    })
+
+    it('should push samples with timestamps and labels', () => {
+      const statsCollector = new StatsCollector({clock: () => DAY})
+
+      statsCollector.pushValues([
+        {responseTimeMs: 10, timestamp: DAY - 2 * HOUR},
+        {responseTimeMs: 20, labels: {route: '/b'}},
+        30
+      ], {timestamp: DAY - HOUR, labels: {route: '/a'}})
+
+      expect(statsCollector.timestamps).to.be.deep.equal([DAY - 2 * HOUR, DAY - HOUR, DAY - HOUR])
+      expect(statsCollector.groupBy('route').map(v => [v.labels.route, v.count])).to.be.deep.equal([['/a', 2], ['/b', 1]])
+    })
+
+    it('should reject the whole batch', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.pushValues([1, NaN])).to.throw('Incorrect responseTimeMs value')
+      expect(() => statsCollector.pushValues([1, -1])).to.throw('Negative responseTimeMs not allowed')
+      expect(() => statsCollector.pushValues([{responseTimeMs: 1, timestamp: 'now'}])).to.throw('Incorrect timestamp value')
+      expect(statsCollector.length).to.be.equal(0)
+    })
+
+    it('should reject the whole batch with too many label values', () => {
+      const statsCollector = new StatsCollector({maxLabelValues: 2})
+      statsCollector.pushValue(1, {route: '/a'})
+
+      const samples = ['/a', '/b', '/b', '/c'].map((route, i) => ({responseTimeMs: i, labels: {route}}))
+      expect(() => statsCollector.pushValues(samples)).to.throw('Too many values of label "route"')
+      expect(statsCollector.length).to.be.equal(1)
+      expect(statsCollector.groupBy('route').map(v => v.labels.route)).to.be.deep.equal(['/a'])
+
+      expect(statsCollector.pushValues(samples.slice(0, 3))).to.be.deep.equal({pushed: 3, skipped: 0, outOfWindow: 0})
+    })
+
+    it('should skip and count invalid samples', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(statsCollector.pushValues([1, NaN, -1, '2', 3], {onInvalid: 'skip'})).to.be.deep.equal({pushed: 2, skipped: 3, outOfWindow: 0})
+      expect(statsCollector.data).to.be.deep.equal([1, 3])
+      expect(statsCollector.skippedCount).to.be.equal(3)
+    })
+
+    it('should throw an error on incorrect arguments', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.pushValues(1)).to.throw('Values should be an array')
+      expect(() => statsCollector.pushValues([], {onInvalid: 'ignore'})).to.throw('Incorrect onInvalid value')
+    })
+  })
+
+  describe('ingest.', () => {
+    async function * generate (items) {
+      for (const item of items) yield item
+    }
+
+    it('should ingest an async iterable', async () => {
+      const statsCollector = new StatsCollector({clock: () => DAY})
+      const items = Array.from({length: INGEST_BATCH_SIZE + 1}, (v, i) => i % 10)
+
+      const result = await statsCollector.ingest(generate(items))
+
+      expect(result).to.be.deep.equal({pushed: INGEST_BATCH_SIZE + 1, skipped: 0, outOfWindow: 0})
+      expect(statsCollector.data).to.be.deep.equal(items)
+    })
+
+    it('should ingest batches and sync iterables', async () => {
+      const statsCollector = new StatsCollector()
+
+      await statsCollector.ingest(generate([[1, 2], new Float64Array([3]), 4]))
+      await statsCollector.ingest(new Set([5]))
+
+      expect(statsCollector.data).to.be.deep.equal([1, 2, 3, 4, 5])
+    })
+
+    it('should skip invalid samples', async () => {
+      const statsCollector = new StatsCollector()
+
+      const result = await statsCollector.ingest(generate([1, [2, -2], null, 3]), {onInvalid: 'skip'})
+
+      expect(result).to.be.deep.equal({pushed: 3, skipped: 2, outOfWindow: 0})
+      expect(statsCollector.skippedCount).to.be.equal(2)
+    })
+
+    it('should reject the batch with an invalid sample', async () => {
+      const statsCollector = new StatsCollector()
+
+      const error = await statsCollector.ingest(generate([[1, 2], [3, -3], 4])).catch(err => err)
+
+      expect(error.message).to.be.equal('Negative responseTimeMs not allowed')
+      expect(statsCollector.data).to.be.deep.equal([1, 2])
+    })
+
+    it('should reject an incorrect source', async () => {
+      const error = await new StatsCollector().ingest(42).catch(err => err)
+
+      expect(error.message).to.be.equal('Incorrect source value')
+    })
+  })
+
+  describe('time windows.', () => {
+    function createCollector () {
+      const clock = {now: DAY * 10}
+      const statsCollector = new StatsCollector({clock: () => clock.now, retentionDays: 10})
+
+      statsCollector.pushValue(100, DAY) // out of 7 days window
+      statsCollector.pushValue(10, DAY * 5)
+      statsCollector.pushValue(20, DAY * 9)
+      statsCollector.pushValue(30, DAY * 9 + HOUR)
+      statsCollector.pushValue(40, DAY * 10)
+
+      return {clock, statsCollector}
+    }
+
+    it('should select samples by wall-clock days', () => {
+      const {statsCollector} = createCollector()
+
+      expect(statsCollector.getDataset()).to.be.deep.equal([10, 20, 30, 40])
+      expect(statsCollector.getDataset(1)).to.be.deep.equal([20, 30, 40])
+      expect(statsCollector.getMedian()).to.be.equal(25)
+      expect(statsCollector.getAverage()).to.be.equal(25)
+      expect(statsCollector.getAverage(1)).to.be.equal(30)
+    })
+
+    it('should move the window with the clock regardless of the amount of samples', () => {
+      const {clock, statsCollector} = createCollector()
+      clock.now = DAY * 14
+
+      expect(statsCollector.getDataset()).to.be.deep.equal([20, 30, 40])
+      expect(Number.isNaN(statsCollector.getMedian(1))).to.be.equal(true)
+      expect(statsCollector.getAverage(1)).to.be.equal(0)
+    })
+
+    it('should select samples by explicit from/to range', () => {
+      const {statsCollector} = createCollector()
+
+      expect(statsCollector.getDataset({from: DAY * 5, to: DAY * 9})).to.be.deep.equal([10, 20])
+      expect(statsCollector.getDataset({from: DAY * 9})).to.be.deep.equal([20, 30, 40])
+      expect(statsCollector.getDataset({to: DAY * 5})).to.be.deep.equal([100, 10])
+      expect(statsCollector.getMedian({from: DAY * 5, to: DAY * 9})).to.be.equal(15)
+      expect(statsCollector.getAverage({from: 0, to: DAY * 9 + HOUR})).to.be.equal(40)
+      expect(statsCollector.getPercentile(100, {from: 0, to: DAY * 5})).to.be.equal(100)
+    })
+
+    it('should return cached average when range covers the whole data', () => {
+      const {statsCollector} = createCollector()
+      statsCollector.ave = 'cached' // dirty hack to check the cache is used
+
+      expect(statsCollector.getAverage({from: 0})).to.be.equal('cached')
+    })
+
+    it('should throw an error on wrong range', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.getMedian({from: '1'})).to.throw('Incorrect from value')
+      expect(() => statsCollector.getMedian({from: NaN})).to.throw('Incorrect from value')
+      expect(() => statsCollector.getMedian({to: null})).to.throw('Incorrect to value')
+      expect(() => statsCollector.getMedian({from: 0, to: Infinity})).to.throw('Incorrect to value')
+      expect(() => statsCollector.getMedian({until: 0})).to.throw('Incorrect days value')
+    })
+  })
+
+  describe('retention.', () => {
+    it('should evict samples older than retention period', () => {
+      let now = 0
+      const statsCollector = new StatsCollector({clock: () => now, retentionDays: 2})
+
+      statsCollector.pushValue(10)
+      now = DAY
+      statsCollector.pushValue(20)
+      now = DAY * 2 + 1
+      statsCollector.pushValue(60)
+
+      expect(statsCollector.data).to.be.deep.equal([20, 60])
+      expect(statsCollector.length).to.be.equal(2)
+      expect(statsCollector.sum).to.be.equal(80)
+      expect(statsCollector.ave).to.be.equal(40)
+      expect(statsCollector.getAverage()).to.be.equal(40)
+    })
+
+    it('should not add samples older than retention period', () => {
+      const statsCollector = new StatsCollector({clock: () => DAY * 10})
+
+      statsCollector.pushValue(10, DAY)
+
+      expect(statsCollector.data).to.be.deep.equal([])
+      expect(statsCollector.sum).to.be.equal(0)
+      expect(statsCollector.ave).to.be.equal(0)
+    })
+
+    it('should free memory of evicted samples', () => {
+      let now = 0
+      const statsCollector = new StatsCollector({clock: () => now, retentionDays: 1})
+
+      for (let i = 0; i < 5000; i++) {
+        now = i * MINUTE
+        statsCollector.pushValue(i)
+      }
+
+      expect(statsCollector.length).to.be.equal(24 * 60 + 1)
+      expect(statsCollector.samples.capacity).to.be.below(statsCollector.length * 2)
+      expect(statsCollector.getAverage()).to.be.equal(statsCollector.getAverage({from: 0}))
+    })
+
+    it('should evict whole segments in histogram mode', () => {
+      let now = 0
+      const statsCollector = new StatsCollector({mode: 'histogram', clock: () => now, retentionDays: 1})
+
+      statsCollector.pushValue(10)
+      now = DAY
+      statsCollector.pushValue(20)
+
+      expect(statsCollector.segments.length).to.be.equal(2)
+      expect(statsCollector.getAverage()).to.be.equal(15)
+
+      now = DAY * 2
+      statsCollector.pushValue(30)
+
+      expect(statsCollector.segments.length).to.be.equal(2)
+      expect(statsCollector.length).to.be.equal(2)
+      expect(statsCollector.sum).to.be.equal(50)
+      expect(statsCollector.getAverage()).to.be.equal(25)
+      expect(statsCollector.getMedian()).to.be.equal(25)
+    })
+
+    it('should throw an error on wrong retentionDays', () => {
+      expect(() => new StatsCollector({retentionDays: '7'})).to.throw('Incorrect retentionDays value')
+      expect(() => new StatsCollector({retentionDays: Infinity})).to.throw('Incorrect retentionDays value')
+      expect(() => new StatsCollector({retentionDays: -1})).to.throw('Negative retentionDays not allowed')
+    })
+  })
+
+  describe('timeouts.', () => {
+    function createCollector (options) {
+      const clock = {now: DAY * 2}
+      const statsCollector = new StatsCollector(Object.assign({clock: () => clock.now}, options))
+
+      statsCollector.pushValue(10, DAY)
+      statsCollector.pushTimeout(DAY)
+      statsCollector.pushValue(20, DAY * 2)
+      statsCollector.pushValue(30, DAY * 2)
+      statsCollector.pushTimeout(DAY * 2)
+
+      return {clock, statsCollector}
+    }
+
+    it('should count timeouts separately from responses', () => {
+      const {statsCollector} = createCollector()
+
+      expect(statsCollector.timeoutsCount).to.be.equal(2)
+      expect(statsCollector.length).to.be.equal(3)
+      expect(statsCollector.data).to.be.deep.equal([10, 20, 30])
+    })
+
+    it('should keep the values over the timeout as samples', () => {
+      const statsCollector = new StatsCollector()
+      const values = [100, 20000, RESPONSE_TIMEOUT]
+      values.forEach(v => statsCollector.pushValue(v))
+
+      expect(statsCollector.timeoutsCount).to.be.equal(0)
+      expect(statsCollector.length).to.be.equal(3)
+      expect(statsCollector.getMedian()).to.be.equal(RESPONSE_TIMEOUT)
+      expect(statsCollector.getAverage()).to.be.equal((100 + 20000 + RESPONSE_TIMEOUT) / 3)
+    })
+
+    it('should exclude timeouts from median and average by default', () => {
+      const {statsCollector} = createCollector()
+
+      expect(statsCollector.getMedian()).to.be.equal(20)
+      expect(statsCollector.getAverage()).to.be.equal(20)
+      expect(statsCollector.getPercentile(100)).to.be.equal(30)
+    })
+
+    it('should include timeouts as RESPONSE_TIMEOUT values when asked', () => {
+      const modes = ['sort', 'histogram']
+
+      modes.forEach(mode => {
+        const {statsCollector} = createCollector({mode, includeTimeouts: true})
+
+        expect(statsCollector.getMedian()).to.be.equal(30)
+        expect(statsCollector.getAverage()).to.be.equal((60 + RESPONSE_TIMEOUT * 2) / 5)
+        expect(statsCollector.getPercentiles([0, 100])).to.be.deep.equal([10, RESPONSE_TIMEOUT])
+        expect(statsCollector.getMedian({from: 0, to: DAY})).to.be.equal((10 + RESPONSE_TIMEOUT) / 2)
+      })
+    })
+
+    it('should return timeout rate of the window', () => {
+      const modes = ['sort', 'histogram']
+
+      modes.forEach(mode => {
+        const {statsCollector} = createCollector({mode})
+
+        expect(statsCollector.getTimeoutRate()).to.be.equal(2 / 5)
+        expect(statsCollector.getTimeoutRate({from: DAY * 2})).to.be.equal(1 / 3)
+        expect(statsCollector.getTimeoutRate(0)).to.be.equal(1 / 3)
+      })
+    })
+
+    it('should return 0 timeout rate on empty data', () => {
+      expect(new StatsCollector().getTimeoutRate()).to.be.equal(0)
+    })
+
+    it('should evict timeouts older than retention period', () => {
+      const {clock, statsCollector} = createCollector({retentionDays: 1})
+      clock.now = DAY * 2.5
+      statsCollector.pushTimeout()
+
+      expect(statsCollector.timeoutsCount).to.be.equal(2)
+      expect(statsCollector.getTimeoutRate()).to.be.equal(2 / 4)
+    })
+
+    it('should evict timeouts with whole segments in histogram mode', () => {
+      const {clock, statsCollector} = createCollector({mode: 'histogram', retentionDays: 1})
+      clock.now = DAY * 3
+      statsCollector.pushTimeout()
+
+      expect(statsCollector.timeoutsCount).to.be.equal(2)
+      expect(statsCollector.getTimeoutRate()).to.be.equal(2 / 4)
+    })
+
+    it('should keep timeouts in snapshots', () => {
+      const first = createCollector().statsCollector.snapshot()
+      const second = createCollector().statsCollector.snapshot()
+
+      const merged = StatsCollector.merge([first, JSON.parse(JSON.stringify(second))])
+
+      expect(merged.timeouts).to.be.equal(4)
+      expect(merged.count).to.be.equal(6)
+      expect(merged.getTimeoutRate()).to.be.equal(4 / 10)
+    })
+
+    it('should keep timeouts on restore', () => {
+      const modes = ['sort', 'histogram']
+
+      modes.forEach(mode => {
+        const {statsCollector} = createCollector({mode})
+
+        const restored = StatsCollector.deserialize(statsCollector.serialize(), {clock: statsCollector.clock})
+
+        expect(restored.timeoutsCount).to.be.equal(statsCollector.timeoutsCount)
+        expect(restored.getTimeoutRate({from: DAY * 2})).to.be.equal(statsCollector.getTimeoutRate({from: DAY * 2}))
+      })
+    })
+
+    it('should throw an error on wrong arguments', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.pushTimeout('10')).to.throw('Incorrect timestamp value')
+      expect(() => statsCollector.getTimeoutRate(-1)).to.throw('Negative days not allowed')
+      expect(() => new StatsCollector({includeTimeouts: 'yes'})).to.throw('Incorrect includeTimeouts value')
+    })
+  })
+
+  describe('getSeries.', () => {
+    function createCollector () {
+      const clock = {now: 0}
+      const statsCollector = new StatsCollector({clock: () => clock.now})
+      const push = (value, timestamp) => {
+        clock.now = timestamp
+        statsCollector.pushValue(value)
+      }
+
+      push(10, 0)
+      push(20, SECOND)
+      push(30, MINUTE * 2)
+      push(40, HOUR + MINUTE)
+      push(50, HOUR + MINUTE * 30)
+      push(60, DAY + HOUR)
+
+      return {clock, statsCollector}
+    }
+
+    it('should return hourly buckets by default', () => {
+      const {statsCollector} = createCollector()
+
+      const result = statsCollector.getSeries({from: 0})
+
+      expect(result.map(v => v.start)).to.be.deep.equal([0, HOUR, DAY + HOUR])
+      expect(result[0]).to.include({start: 0, end: HOUR, count: 3, sum: 60, min: 10, max: 30, average: 20})
+      expect(result[1]).to.include({count: 2, min: 40, max: 50, average: 45})
+      expect(result[0].median).to.be.closeTo(20, 20 * 0.01)
+    })
+
+    it('should return buckets of requested resolution inside the range', () => {
+      const {statsCollector} = createCollector()
+
+      expect(statsCollector.getSeries({resolution: DAY, from: 0}).map(v => v.count)).to.be.deep.equal([5, 1])
+      expect(statsCollector.getSeries({resolution: MINUTE, from: HOUR, to: HOUR * 2}).map(v => v.start)).to.be.deep.equal([HOUR + MINUTE, HOUR + MINUTE * 30])
+      expect(statsCollector.getSeries({resolution: HOUR, from: MINUTE, to: HOUR - 1}).map(v => v.start)).to.be.deep.equal([0])
+    })
+
+    it('should keep minute buckets for 1 day only', () => {
+      const {statsCollector} = createCollector()
+
+      expect(statsCollector.getSeries({resolution: MINUTE, from: 0}).map(v => v.start)).to.be.deep.equal([HOUR + MINUTE, HOUR + MINUTE * 30, DAY + HOUR])
+      expect(statsCollector.getSeries({resolution: HOUR, from: 0}).length).to.be.equal(3)
+    })
+
+    it('should evict buckets older than retention period', () => {
+      const {clock, statsCollector} = createCollector()
+      clock.now = DAY * 8
+      statsCollector.pushValue(70)
+
+      expect(statsCollector.getSeries({resolution: DAY, from: 0}).map(v => v.start)).to.be.deep.equal([DAY, DAY * 8])
+    })
+
+    it('should return the buckets with timeouts only', () => {
+      const {clock, statsCollector} = createCollector()
+      clock.now = DAY * 2
+      statsCollector.pushTimeout()
+
+      const result = statsCollector.getSeries({resolution: DAY, from: DAY * 2})
+
+      expect(result).to.have.lengthOf(1)
+      expect(result[0]).to.include({start: DAY * 2, count: 0, sum: 0, min: null, max: null, average: null, median: null, timeouts: 1})
+    })
+
+    it('should support custom rollups', () => {
+      const statsCollector = new StatsCollector({clock: () => 0, rollups: [{resolution: SECOND * 10}]})
+      statsCollector.pushValue(10)
+
+      expect(statsCollector.getSeries({resolution: SECOND * 10}).length).to.be.equal(1)
+      expect(() => statsCollector.getSeries({resolution: HOUR})).to.throw('Incorrect resolution value')
+    })
+
+    it('should throw an error on wrong arguments', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.getSeries({resolution: 'hour'})).to.throw('Incorrect resolution value')
+      expect(() => statsCollector.getSeries({from: 'yesterday'})).to.throw('Incorrect from value')
+      expect(() => new StatsCollector({rollups: {}})).to.throw('Rollups should be an array')
+      expect(() => new StatsCollector({rollups: [{resolution: 0}]})).to.throw('Incorrect resolution value')
+    })
+  })
+
+  describe('snapshot.', () => {
+    it('should summarize the window', () => {
+      const now = DAY * 10
+      const statsCollector = new StatsCollector({clock: () => now, retentionDays: 10})
+      statsCollector.pushValue(1000, DAY)
+      statsCollector.pushValue(10, DAY * 5)
+      statsCollector.pushValue(20, DAY * 6)
+      statsCollector.pushValue(30, DAY * 7)
+
+      const snapshot = statsCollector.snapshot()
+
+      expect(snapshot).to.include({from: now - DAY * 7, to: now, count: 3, sum: 60})
+      expect(snapshot.getAverage()).to.be.equal(20)
+      expect(snapshot.getMedian()).to.be.closeTo(20, 20 * 0.01)
+      expect(statsCollector.snapshot(1).count).to.be.equal(0)
+    })
+
+    it('should be serializable', () => {
+      const values = [10, 20, 30, 0]
+      const statsCollector = new StatsCollector()
+      values.forEach(v => statsCollector.pushValue(v))
+
+      const snapshot = statsCollector.snapshot()
+      const restored = StatsSnapshot.fromJSON(JSON.parse(JSON.stringify(snapshot)))
+
+      expect(restored.toJSON()).to.be.deep.equal(snapshot.toJSON())
+      expect(restored.getPercentiles([0, 50, 100])).to.be.deep.equal(snapshot.getPercentiles([0, 50, 100]))
+    })
+
+    it('should summarize the window in histogram mode', () => {
+      const values = [10, 20, 30, 45]
+      const statsCollector = new StatsCollector({mode: 'histogram'})
+      values.forEach(v => statsCollector.pushValue(v))
+
+      const snapshot = statsCollector.snapshot()
+
+      expect(snapshot).to.include({count: 4, sum: 105})
+      expect(snapshot.getPercentile(100)).to.be.equal(45)
+      expect(snapshot.getMedian()).to.be.closeTo(25, 25 * 0.01)
+    })
+  })
+
+  describe('merge.', () => {
+    it('should merge snapshots of many servers', () => {
+      const servers = [new StatsCollector(), new StatsCollector(), new StatsCollector({mode: 'histogram'})]
+      const whole = []
+      for (let i = 1; i <= 3000; i++) {
+        const value = (i * 7919) % 5000
+        servers[i % servers.length].pushValue(value)
+        whole.push(value)
+      }
+      whole.sort((a, b) => a - b)
+
+      const merged = StatsCollector.merge(servers.map(v => JSON.parse(JSON.stringify(v.snapshot()))))
+
+      expect(merged.count).to.be.equal(whole.length)
+      expect(merged.getAverage()).to.be.equal(whole.reduce((c, v) => c + v) / whole.length)
+      const percentiles = [50, 90, 99, 99.9]
+      percentiles.forEach(p => {
+        const exact = interpolatePercentile(p, whole.length, rank => whole[rank])
+        expect(merged.getPercentile(p)).to.be.closeTo(exact, exact * 0.01)
+      })
+    })
+
+    it('should merge snapshots of non-default accuracy', () => {
+      const servers = [new StatsCollector({sketchAccuracy: 0.05}), new StatsCollector({sketchAccuracy: 0.05})]
+      servers[0].pushValue(100)
+      servers[1].pushValue(300)
+      const snapshots = servers.map(v => JSON.parse(JSON.stringify(v.snapshot())))
+
+      const merged = StatsCollector.merge(snapshots)
+
+      expect(merged.count).to.be.equal(2)
+      expect(merged.sketch.relativeAccuracy).to.be.equal(0.05)
+      expect(merged.getMedian()).to.be.closeTo(200, 200 * 0.05)
+      expect(snapshots[0].sketch.length).to.be.equal(1)
+    })
+
+    it('should cover all the windows', () => {
+      const first = new StatsSnapshot({from: 10, to: 20})
+      const second = new StatsSnapshot({from: 5, to: 15})
+
+      expect(StatsCollector.merge([first, second])).to.include({from: 5, to: 20})
+    })
+
+    it('should return empty snapshot on empty array', () => {
+      const merged = StatsCollector.merge([])
+
+      expect(merged.count).to.be.equal(0)
+      expect(merged.getAverage()).to.be.equal(0)
+      expect(Number.isNaN(merged.getMedian())).to.be.equal(true)
+    })
+
+    it('should throw an error on wrong arguments', () => {
+      expect(() => StatsCollector.merge()).to.throw('Snapshots should be an array')
+      expect(() => StatsCollector.merge({})).to.throw('Snapshots should be an array')
+      expect(() => StatsCollector.merge([null])).to.throw('Incorrect snapshot value')
+      expect(() => StatsCollector.merge([{}])).to.throw('Incorrect snapshot value')
+      expect(() => StatsCollector.merge([]).getPercentile(101)).to.throw('Percentile should be between 0 and 100')
+    })
+  })
+
+  describe('persistence.', () => {
+    const os = require('os')
+    const path = require('path')
+
+    function createCollector (options) {
+      let now = DAY
+      const statsCollector = new StatsCollector(Object.assign({clock: () => now}, options))
+      for (let i = 0; i < 1000; i++) {
+        now = DAY + i * MINUTE * 7
+        statsCollector.pushValue(((i * 7919) % 3000) + 0.1 * (i % 3))
+      }
+
+      return statsCollector
+    }
+
+    function expectSameResults (restored, original) {
+      expect(restored.getMedian()).to.be.equal(original.getMedian())
+      expect(restored.getAverage()).to.be.equal(original.getAverage())
+      expect(restored.getMedian(1)).to.be.equal(original.getMedian(1))
+      expect(restored.getAverage(1)).to.be.equal(original.getAverage(1))
+      expect(restored.getPercentiles([90, 99])).to.be.deep.equal(original.getPercentiles([90, 99]))
+      expect(restored).to.include({length: original.length, sum: original.sum, ave: original.ave})
+      expect(restored.getSeries({from: 0}).map(v => v.median)).to.be.deep.equal(original.getSeries({from: 0}).map(v => v.median))
+    }
+
+    it('should restore the same state', () => {
+      const statsCollector = createCollector()
+
+      const restored = StatsCollector.deserialize(statsCollector.serialize(), {clock: statsCollector.clock})
+
+      expect(restored.data).to.be.deep.equal(statsCollector.data)
+      expect(restored.timestamps).to.be.deep.equal(statsCollector.timestamps)
+      expectSameResults(restored, statsCollector)
+    })
+
+    it('should restore the same state in histogram mode', () => {
+      const statsCollector = createCollector({mode: 'histogram', retentionDays: 3, rollups: [{resolution: HOUR}]})
+
+      const restored = StatsCollector.deserialize(statsCollector.serialize(), {clock: statsCollector.clock})
+
+      expect(restored).to.include({mode: 'histogram', retentionDays: 3})
+      expect(restored.segments.map(v => v.start)).to.be.deep.equal(statsCollector.segments.map(v => v.start))
+      expectSameResults(restored, statsCollector)
+    })
+
+    it('should save to file and load from it', async () => {
+      const file = path.join(os.tmpdir(), `stats-collector-${process.pid}.bin`)
+      const statsCollector = createCollector()
+
+      await statsCollector.saveTo(file)
+      const restored = await StatsCollector.loadFrom(file, {clock: statsCollector.clock})
+      fs.unlinkSync(file)
+
+      expectSameResults(restored, statsCollector)
+    })
+
+    it('should throw an error on wrong format', () => {
+      const buffer = createCollector().serialize()
+
+      expect(() => StatsCollector.deserialize(Buffer.from('hello world'))).to.throw('Incorrect file format')
+      expect(() => StatsCollector.deserialize('USC1')).to.throw('Incorrect file format')
+      expect(() => StatsCollector.deserialize(buffer.slice(0, buffer.length - 1))).to.throw('Incorrect file format')
+    })
+
+    it('should throw an error on a corrupt header', () => {
+      const buffer = createCollector().serialize()
+      const corrupt = Buffer.from(buffer)
+      corrupt.write('}', 8)
+      const createFile = header => {
+        const json = Buffer.from(JSON.stringify(header))
+        const prefix = Buffer.alloc(8)
+        prefix.write('USC1', 0, 'latin1')
+        prefix.writeUInt32LE(json.length, 4)
+        return Buffer.concat([prefix, json])
+      }
+
+      expect(() => StatsCollector.deserialize(corrupt)).to.throw('Incorrect file format')
+      // truncated in the header
+      expect(() => StatsCollector.deserialize(buffer.slice(0, 20))).to.throw('Incorrect file format')
+      expect(() => StatsCollector.deserialize(createFile(null))).to.throw('Incorrect file format')
+      expect(() => StatsCollector.deserialize(createFile({mode: 'sort', length: 0, timeoutsCount: 0}))).to.throw('Incorrect file format')
+      expect(() => StatsCollector.deserialize(createFile({mode: 'histogram', length: 0, timeoutsCount: 0, rollups: [], labeledSeries: []})))
+        .to.throw('Incorrect file format')
+    })
+  })
+
+  describe('labels.', () => {
+    function createCollector (options) {
+      let now = DAY
+      const statsCollector = new StatsCollector(Object.assign({clock: () => now}, options))
+      for (let i = 0; i < 300; i++) {
+        now = DAY + i * MINUTE
+        statsCollector.pushValue(100 + i, {route: '/users', status: i % 3 ? 200 : 500})
+        statsCollector.pushValue(1000 + i, {route: '/orders', status: 200})
+      }
+
+      return statsCollector
+    }
+
+    it('should keep all the values in the unlabeled stats', () => {
+      const statsCollector = createCollector()
+
+      expect(statsCollector.length).to.be.equal(600)
+      expect(statsCollector.getMedian()).to.be.equal(699.5)
+    })
+
+    it('should calculate stats of the route', () => {
+      const statsCollector = createCollector()
+
+      expect(statsCollector.getMedian(7, {route: '/users'})).to.be.closeTo(249.5, 249.5 * 0.01)
+      expect(statsCollector.getMedian(7, {route: '/orders'})).to.be.closeTo(1149.5, 1149.5 * 0.01)
+      expect(statsCollector.getAverage(7, {route: '/orders'})).to.be.closeTo(1149.5, 1e-9)
+      expect(statsCollector.getPercentile(90, 7, {route: '/users'})).to.be.closeTo(369.1, 369.1 * 0.01)
+    })
+
+    it('should filter by several labels', () => {
+      const statsCollector = createCollector()
+
+      expect(statsCollector.getTotals(7, {route: '/users', status: 500}).length).to.be.equal(100)
+      expect(statsCollector.getTotals(7, {route: '/users', status: '200'}).length).to.be.equal(200)
+      expect(statsCollector.getTotals(7, {status: 200}).length).to.be.equal(500)
+      expect(statsCollector.getTotals(7, {route: '/unknown'}).length).to.be.equal(0)
+      expect(Number.isNaN(statsCollector.getMedian(7, {route: '/unknown'}))).to.be.equal(true)
+    })
+
+    it('should group by the label', () => {
+      const statsCollector = createCollector()
+
+      const groups = statsCollector.groupBy('route')
+      expect(groups.map(v => v.labels)).to.be.deep.equal([{route: '/users'}, {route: '/orders'}])
+      expect(groups.map(v => v.count)).to.be.deep.equal([300, 300])
+      expect(groups[1].median).to.be.closeTo(1149.5, 1149.5 * 0.01)
+
+      expect(statsCollector.groupBy('status', 7, {route: '/users'}).map(v => [v.labels.status, v.count])).to.be.deep.equal([['500', 100], ['200', 200]])
+      expect(statsCollector.groupBy('host')).to.be.deep.equal([])
+    })
+
+    it('should count timeouts of the labels', () => {
+      const statsCollector = createCollector()
+      statsCollector.pushTimeout({route: '/orders'})
+      statsCollector.pushTimeout({route: '/orders'})
+
+      expect(statsCollector.getTimeoutsCount(7, {route: '/orders'})).to.be.equal(2)
+      expect(statsCollector.getTimeoutsCount(7, {route: '/users'})).to.be.equal(0)
+      expect(statsCollector.getTimeoutRate(7, {route: '/orders'})).to.be.equal(2 / 302)
+    })
+
+    it('should accept the timestamp along with the labels', () => {
+      const statsCollector = new StatsCollector({clock: () => 3 * DAY})
+      statsCollector.pushValue(10, {route: '/'}, 2 * DAY + HOUR)
+      statsCollector.pushValue(20, DAY + HOUR, {route: '/'})
+
+      expect(statsCollector.timestamps).to.be.deep.equal([DAY + HOUR, 2 * DAY + HOUR])
+      expect(statsCollector.getTotals({from: 2 * DAY}, {route: '/'}).length).to.be.equal(1)
+    })
+
+    it('should round the window to whole days', () => {
+      const statsCollector = new StatsCollector({clock: () => 3 * DAY})
+      statsCollector.pushValue(10, {route: '/'}, 2 * DAY + HOUR)
+      statsCollector.pushValue(20, 2 * DAY + 2 * HOUR, {route: '/'})
+
+      expect(statsCollector.getTotals({from: 2 * DAY + 2 * HOUR}).length).to.be.equal(1)
+      expect(statsCollector.getTotals({from: 2 * DAY + 2 * HOUR}, {route: '/'}).length).to.be.equal(2)
+    })
+
+    it('should reject new values of the label over the limit', () => {
+      const statsCollector = new StatsCollector({maxLabelValues: 2})
+      statsCollector.pushValue(10, {route: '/a'})
+      statsCollector.pushValue(10, {route: '/b'})
+      statsCollector.pushValue(10, {route: '/a', host: 'a'})
+
+      expect(() => statsCollector.pushValue(10, {route: '/c'})).to.throw('Too many values of label "route"')
+      expect(statsCollector.length).to.be.equal(3)
+    })
+
+    it('should forget the series older than the retention period', () => {
+      let now = DAY
+      const statsCollector = new StatsCollector({clock: () => now, retentionDays: 1, maxLabelValues: 1})
+      statsCollector.pushValue(10, {route: '/a'})
+
+      now += 2 * DAY
+      statsCollector.pushValue(10, {route: '/b'})
+
+      expect(statsCollector.labeledSeries.size).to.be.equal(1)
+      expect(statsCollector.groupBy('route').map(v => v.labels)).to.be.deep.equal([{route: '/b'}])
+    })
+
+    it('should restore the labeled series', () => {
+      const statsCollector = createCollector({maxLabelValues: 2})
+
+      const restored = StatsCollector.deserialize(statsCollector.serialize(), {clock: statsCollector.clock})
+
+      expect(restored.maxLabelValues).to.be.equal(2)
+      expect(restored.groupBy('route')).to.be.deep.equal(statsCollector.groupBy('route'))
+      expect(() => restored.pushValue(10, {route: '/c'})).to.throw('Too many values of label "route"')
+    })
+
+    it('should throw an error on incorrect labels', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.pushValue(10, 0, [])).to.throw('Incorrect labels value')
+      expect(() => statsCollector.pushValue(10, {route: null})).to.throw('Incorrect value of label "route"')
+      expect(() => statsCollector.getMedian(7, {status: NaN})).to.throw('Incorrect value of label "status"')
+      expect(() => statsCollector.groupBy()).to.throw('Incorrect label value')
+      expect(() => new StatsCollector({maxLabelValues: 0})).to.throw('Incorrect maxLabelValues value')
+    })
+  })
+
+  describe('getSummary.', () => {
+    function createCollector (values, options) {
+      const statsCollector = new StatsCollector(Object.assign({clock: () => DAY}, options))
+      values.forEach(v => statsCollector.pushValue(v))
+
+      return statsCollector
+    }
+
+    it('should return all the statistics of the window', () => {
+      const statsCollector = createCollector([7, 1, 3, 3, 9, 5, 3, 1])
+
+      const summary = statsCollector.getSummary()
+      expect(summary).to.include({count: 8, min: 1, max: 9, average: 4, median: 3, mode: 3, q1: 2.5, q3: 5.5, iqr: 3})
+      expect(summary.variance).to.be.closeTo(7, 1e-9)
+      expect(summary.std).to.be.closeTo(Math.sqrt(7), 1e-9)
+    })
+
+    it('should be the same as the separate methods', () => {
+      const values = Array.from({length: 1001}, (v, i) => (i * 7919) % 1000)
+      const statsCollector = createCollector(values)
+
+      const summary = statsCollector.getSummary()
+      expect(summary.median).to.be.equal(statsCollector.getMedian())
+      expect(summary.average).to.be.closeTo(statsCollector.getAverage(), 1e-9)
+      expect([summary.q1, summary.q3]).to.be.deep.equal(statsCollector.getPercentiles([25, 75]))
+    })
+
+    it('should keep the precision of the variance with a big mean', () => {
+      const values = Array.from({length: 1000}, (v, i) => 18000 + 1e-4 * (i % 2))
+      const summary = createCollector(values).getSummary()
+
+      expect(summary.variance).to.be.closeTo(2.5e-9, 1e-12)
+      expect(summary.mode).to.be.equal(18000)
+    })
+
+    it('should calculate the summary in histogram mode', () => {
+      const statsCollector = createCollector([7, 1, 3, 3, 9, 5, 3, 1], {mode: 'histogram'})
+
+      expect(statsCollector.getSummary()).to.include({count: 8, min: 1, max: 9, median: 3, mode: 3, iqr: 3})
+      expect(statsCollector.getSummary().variance).to.be.closeTo(7, 1e-9)
+    })
+
+    it('should calculate the summary of the labels', () => {
+      const statsCollector = createCollector([])
+      statsCollector.pushValue(100, {route: '/a'})
+      statsCollector.pushValue(100, {route: '/a'})
+      statsCollector.pushValue(300, {route: '/a'})
+
+      const summary = statsCollector.getSummary(7, {route: '/a'})
+      expect(summary).to.include({count: 3, max: 300})
+      expect(summary.min).to.be.closeTo(100, 1)
+      expect(summary.mode).to.be.equal(summary.min)
+      expect(summary.std).to.be.closeTo(Math.sqrt(80000 / 9), 3)
+    })
+
+    it('should include the timeouts if includeTimeouts is set', () => {
+      const statsCollector = createCollector([1000], {includeTimeouts: true})
+      statsCollector.pushTimeout()
+
+      expect(statsCollector.getSummary()).to.include({count: 2, max: RESPONSE_TIMEOUT, average: 10000})
+    })
+
+    it('should return NaN of the empty window', () => {
+      const summary = createCollector([]).getSummary()
+
+      expect(summary).to.include({count: 0, average: 0})
+      expect(['min', 'max', 'median', 'mode', 'variance', 'std', 'iqr'].every(key => Number.isNaN(summary[key]))).to.be.equal(true)
+    })
+  })
+
+  describe('smoothed averages.', () => {
+    function createCollector (options) {
+      let now = DAY
+      const statsCollector = new StatsCollector(Object.assign({clock: () => now}, options))
+
+      return {statsCollector, setNow: value => { now = value }}
+    }
+
+    it('should calculate exact sliding averages', () => {
+      const {statsCollector, setNow} = createCollector()
+      for (let i = 0; i < 600; i++) {
+        setNow(DAY + i * SECOND)
+        statsCollector.pushValue(i)
+      }
+
+      // the window is inclusive: 30 seconds ago and now
+      expect(statsCollector.getSlidingAverage()).to.be.equal(584)
+      expect(statsCollector.getSlidingAverage(5 * MINUTE)).to.be.equal(449)
+      expect(statsCollector.getSlidingAverage(HOUR)).to.be.equal(299.5)
+
+      setNow(DAY + 699 * SECOND)
+      expect(statsCollector.getSlidingAverage(30 * SECOND)).to.be.equal(0)
+      expect(statsCollector.getSlidingAverage(5 * MINUTE)).to.be.equal(499)
+    })
+
+    it('should keep the late samples in the sliding windows', () => {
+      const {statsCollector} = createCollector({slidingWindows: [MINUTE]})
+      statsCollector.pushValue(10, DAY)
+      statsCollector.pushValue(20, DAY - 30 * SECOND)
+      statsCollector.pushValue(1000, DAY - 2 * MINUTE)
+
+      expect(statsCollector.getSlidingAverage(MINUTE)).to.be.equal(15)
+      expect(statsCollector.slidingWindows.get(MINUTE).length).to.be.equal(2)
+    })
+
+    it('should not copy the samples to the sliding windows', () => {
+      const {statsCollector, setNow} = createCollector({retentionDays: 1, includeTimeouts: true})
+      for (let i = 0; i < 3000; i++) {
+        setNow(DAY + i * SECOND)
+        if (i % 100 !== 80) statsCollector.pushValue(i)
+        else statsCollector.pushTimeout()
+      }
+
+      statsCollector.slidingWindows.forEach(window => {
+        expect(window.ownBuffer).to.be.equal(null)
+        expect(window.cursors.map(v => v.buffer)).to.be.deep.equal([statsCollector.samples, statsCollector.timeouts])
+      })
+      // 2969..2999 with the timeout instead of 2980
+      expect(statsCollector.getSlidingAverage(30 * SECOND)).to.be.equal((2984 * 31 - 2980 + RESPONSE_TIMEOUT) / 31)
+
+      // the windows go along with the evicted samples
+      setNow(3 * DAY + 3000 * SECOND)
+      statsCollector.pushValue(10)
+      expect(statsCollector.length).to.be.equal(1)
+      expect([...statsCollector.slidingWindows.keys()].map(v => statsCollector.getSlidingAverage(v))).to.be.deep.equal([10, 10, 10])
+    })
+
+    it('should keep the samples of the windows in histogram mode', () => {
+      const {statsCollector, setNow} = createCollector({mode: 'histogram', slidingWindows: [MINUTE]})
+      statsCollector.pushValue(100)
+      setNow(DAY + 30 * SECOND)
+      statsCollector.pushValue(200)
+      statsCollector.pushValue(1000, DAY - 2 * MINUTE)
+
+      expect(statsCollector.getSlidingAverage(MINUTE)).to.be.equal(150)
+      setNow(DAY + 90 * SECOND)
+      expect(statsCollector.getSlidingAverage(MINUTE)).to.be.equal(200)
+      expect(statsCollector.slidingWindows.get(MINUTE).ownBuffer.length).to.be.equal(1)
+    })
+
+    it('should restore the sliding windows from the samples', () => {
+      const {statsCollector, setNow} = createCollector()
+      for (let i = 0; i < 100; i++) {
+        setNow(DAY + i * SECOND)
+        statsCollector.pushValue(i)
+      }
+
+      const restored = StatsCollector.deserialize(statsCollector.serialize(), {clock: statsCollector.clock})
+
+      expect(restored.getSlidingAverage()).to.be.equal(statsCollector.getSlidingAverage())
+      expect(restored.getSlidingAverage(HOUR)).to.be.equal(49.5)
+    })
+
+    it('should decay the average by the half-life', () => {
+      const {statsCollector, setNow} = createCollector({ewmaHalfLives: [MINUTE]})
+      statsCollector.pushValue(100)
+
+      setNow(DAY + MINUTE)
+      statsCollector.pushValue(400)
+      expect(statsCollector.getEwma(MINUTE)).to.be.equal(300)
+
+      // a late sample gets the weight of its age
+      statsCollector.pushValue(100, DAY)
+      expect(statsCollector.getEwma(MINUTE)).to.be.equal(250)
+    })
+
+    it('should follow the recent values', () => {
+      const {statsCollector, setNow} = createCollector()
+      for (let i = 0; i < 3600; i++) {
+        setNow(DAY + i * SECOND)
+        statsCollector.pushValue(i < 1800 ? 100 : 200)
+      }
+
+      expect(statsCollector.getEwma(MINUTE)).to.be.closeTo(200, 1e-6)
+      // the last 30 minutes have 3/4 of the weight of the last hour (15/16)
+      expect(statsCollector.getEwma(15 * MINUTE)).to.be.closeTo((200 * 12 + 100 * 3) / 15, 0.1)
+    })
+
+    it('should include the timeouts if includeTimeouts is set', () => {
+      const {statsCollector} = createCollector({includeTimeouts: true})
+      statsCollector.pushValue(1000)
+      statsCollector.pushTimeout()
+
+      expect(statsCollector.getSlidingAverage()).to.be.equal((1000 + RESPONSE_TIMEOUT) / 2)
+      expect(statsCollector.getEwma()).to.be.equal((1000 + RESPONSE_TIMEOUT) / 2)
+      expect(createCollector().statsCollector.getEwma()).to.be.equal(0)
+    })
+
+    it('should throw an error on unknown windows', () => {
+      const {statsCollector} = createCollector()
+
+      expect(() => statsCollector.getEwma(SECOND)).to.throw('Incorrect halfLife value')
+      expect(() => statsCollector.getSlidingAverage(SECOND)).to.throw('Incorrect windowMs value')
+      expect(() => new StatsCollector({ewmaHalfLives: [0]})).to.throw('Incorrect ewmaHalfLives value')
+      expect(() => new StatsCollector({slidingWindows: MINUTE})).to.throw('Incorrect slidingWindows value')
+      expect(() => new StatsCollector({retentionDays: 1, slidingWindows: [2 * DAY]})).to.throw('Incorrect slidingWindows value')
+    })
+
+    it('should drop the default windows longer than the retention', () => {
+      // 14.4 minutes
+      const statsCollector = new StatsCollector({retentionDays: 0.01, clock: () => DAY})
+      statsCollector.pushValue(10)
+
+      expect([...statsCollector.slidingWindows.keys()]).to.be.deep.equal([30 * SECOND, 5 * MINUTE])
+      expect(statsCollector.getSlidingAverage()).to.be.equal(10)
+      expect(() => statsCollector.getSlidingAverage(HOUR)).to.throw('Incorrect windowMs value')
+      expect(new StatsCollector({retentionDays: 0}).slidingWindows.size).to.be.equal(0)
+      expect(new StatsCollector({mode: 'histogram'}).slidingWindows.size).to.be.equal(0)
+    })
+  })
+
+  describe('toPrometheus.', () => {
+    function createCollector (options) {
+      const statsCollector = new StatsCollector(Object.assign({clock: () => DAY}, options))
+      statsCollector.pushValue(10, {route: '/a'})
+      statsCollector.pushValue(20, {route: '/a', status: 200})
+      statsCollector.pushValue(30)
+      statsCollector.pushTimeout({route: '/a'})
+
+      return statsCollector
+    }
+
+    const timeoutLines = [
+      '# HELP response_time_ms_timeouts Requests timed out in the window.',
+      '# TYPE response_time_ms_timeouts gauge',
+      'response_time_ms_timeouts 1',
+      'response_time_ms_timeouts{route="/a"} 1',
+      'response_time_ms_timeouts{route="/a",status="200"} 0'
+    ]
+
+    it('should render a summary', () => {
+      const text = createCollector().toPrometheus({quantiles: [0.5, 0.9]})
+
+      expect(text).to.be.equal([
+        '# HELP response_time_ms Response time in milliseconds.',
+        '# TYPE response_time_ms summary',
+        'response_time_ms{quantile="0.5"} 20',
+        'response_time_ms{quantile="0.9"} 28',
+        'response_time_ms_sum 60',
+        'response_time_ms_count 3',
+        'response_time_ms{route="/a",quantile="0.5"} 10',
+        'response_time_ms{route="/a",quantile="0.9"} 10',
+        'response_time_ms_sum{route="/a"} 10',
+        'response_time_ms_count{route="/a"} 1',
+        'response_time_ms{route="/a",status="200",quantile="0.5"} 20',
+        'response_time_ms{route="/a",status="200",quantile="0.9"} 20',
+        'response_time_ms_sum{route="/a",status="200"} 20',
+        'response_time_ms_count{route="/a",status="200"} 1',
+        ...timeoutLines
+      ].join('\n') + '\n')
+    })
+
+    it('should render a histogram', () => {
+      const text = createCollector().toPrometheus({type: 'histogram', buckets: [10, 25]})
+
+      expect(text).to.be.equal([
+        '# HELP response_time_ms Response time in milliseconds.',
+        '# TYPE response_time_ms histogram',
+        'response_time_ms_bucket{le="10"} 1',
+        'response_time_ms_bucket{le="25"} 2',
+        'response_time_ms_bucket{le="+Inf"} 3',
+        'response_time_ms_sum 60',
+        'response_time_ms_count 3',
+        'response_time_ms_bucket{route="/a",le="10"} 1',
+        'response_time_ms_bucket{route="/a",le="25"} 1',
+        'response_time_ms_bucket{route="/a",le="+Inf"} 1',
+        'response_time_ms_sum{route="/a"} 10',
+        'response_time_ms_count{route="/a"} 1',
+        'response_time_ms_bucket{route="/a",status="200",le="10"} 0',
+        'response_time_ms_bucket{route="/a",status="200",le="25"} 1',
+        'response_time_ms_bucket{route="/a",status="200",le="+Inf"} 1',
+        'response_time_ms_sum{route="/a",status="200"} 20',
+        'response_time_ms_count{route="/a",status="200"} 1',
+        ...timeoutLines
+      ].join('\n') + '\n')
+    })
+
+    it('should count the buckets of the samples exactly', () => {
+      const statsCollector = new StatsCollector({clock: () => DAY, includeTimeouts: true})
+      statsCollector.pushValues([4, 5, 5.04, {responseTimeMs: 5.04, labels: {route: '/a'}}, {timeout: true}])
+
+      const lines = statsCollector.toPrometheus({type: 'histogram', buckets: [5, 10, RESPONSE_TIMEOUT]}).split('\n')
+
+      expect(lines).to.include.members([
+        'response_time_ms_bucket{le="5"} 2',
+        'response_time_ms_bucket{le="10"} 4',
+        `response_time_ms_bucket{le="${RESPONSE_TIMEOUT}"} 5`,
+        'response_time_ms_bucket{le="+Inf"} 5'
+      ])
+    })
+
+    it('should follow the text format', () => {
+      const statsCollector = createCollector({mode: 'histogram'})
+      statsCollector.pushValue(5, {'user-agent': 'say "hi"\\\n'})
+      const sample = /^[a-zA-Z_:][a-zA-Z0-9_:]*(\{([a-zA-Z_][a-zA-Z0-9_]*="([^"\\\n]|\\["\\n])*",?)*\})? (NaN|[+-]Inf|-?[0-9.e+-]+)$/
+
+      const lines = statsCollector.toPrometheus({name: 'api_latency', type: 'histogram'}).trim().split('\n')
+      lines.filter(v => !v.startsWith('#')).forEach(v => expect(v).to.match(sample))
+      expect(lines).to.include('api_latency_count{user_agent="say \\"hi\\"\\\\\\n"} 1')
+    })
+
+    it('should reject the label names of the quantiles and buckets', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.pushValue(1, {route: '/a', quantile: 'x'})).to.throw('Label "quantile" is reserved')
+      expect(() => statsCollector.pushTimeout({route: '/a', le: '10'})).to.throw('Label "le" is reserved')
+      expect(statsCollector.toPrometheus()).to.not.include('quantile="x"')
+    })
+
+    it('should render NaN quantiles of the empty collector', () => {
+      const text = new StatsCollector().toPrometheus({quantiles: [0.5]})
+
+      expect(text).to.include('response_time_ms{quantile="0.5"} NaN\nresponse_time_ms_sum 0\nresponse_time_ms_count 0\n')
+    })
+
+    it('should throw an error on incorrect options', () => {
+      const statsCollector = new StatsCollector()
+
+      expect(() => statsCollector.toPrometheus({name: 'response time'})).to.throw('Incorrect name value')
+      expect(() => statsCollector.toPrometheus({type: 'gauge'})).to.throw('Incorrect type value')
+      expect(() => statsCollector.toPrometheus({quantiles: [50]})).to.throw('Incorrect quantiles value')
+      expect(() => statsCollector.toPrometheus({buckets: [100, 10]})).to.throw('Incorrect buckets value')
+    })
+
+    describe('createMetricsHandler.', () => {
+      function request (handler, method, url) {
+        const res = {
+          writeHead (status, headers) {
+            Object.assign(res, {status, headers})
+          },
+          end (body) {
+            res.body = body
+          }
+        }
+        handler({method, url}, res)
+
+        return res
+      }
+
+      it('should serve the metrics', () => {
+        const statsCollector = createCollector()
+
+        const res = request(statsCollector.createMetricsHandler({quantiles: [0.5]}), 'GET', '/metrics?debug=1')
+
+        expect(res.status).to.be.equal(200)
+        expect(res.headers['Content-Type']).to.be.equal('text/plain; version=0.0.4; charset=utf-8')
+        expect(res.body).to.be.equal(statsCollector.toPrometheus({quantiles: [0.5]}))
+      })
+
+      it('should respond 404 on other requests', () => {
+        const handler = createCollector().createMetricsHandler()
+
+        expect(request(handler, 'GET', '/').status).to.be.equal(404)
+        expect(request(handler, 'POST', '/metrics').status).to.be.equal(404)
+      })
+
+      it('should respond 500 on incorrect options', () => {
+        const res = request(createCollector().createMetricsHandler({type: 'gauge'}), 'GET', '/metrics')
+
+        expect(res.status).to.be.equal(500)
+        expect(res.body).to.be.equal('Incorrect type value\n')
+      })
+    })
+  })
+
+  describe('histogram mode.', () => {
+    function createCollectors (values) {
+      const sortCollector = new StatsCollector()
+      const histogramCollector = new StatsCollector({mode: 'histogram'})
+      values.forEach(v => {
+        sortCollector.pushValue(v)
+        histogramCollector.pushValue(v)
+      })
+
+      return {sortCollector, histogramCollector}
+    }
+
+    it('should return same median as sort mode', () => {
+      const vectors = [[10], [10, 20], [10, 60, 30, 40, 50, 20, 70], [1, 2, 10], [0, 19000, 5, 5]]
+
+      vectors.forEach(values => {
+        const {sortCollector, histogramCollector} = createCollectors(values)
+        expect(histogramCollector.getMedian()).to.be.equal(sortCollector.getMedian())
+      })
+    })
+
+    it('should return same average as sort mode', () => {
+      const {sortCollector, histogramCollector} = createCollectors([10, 20, 30])
+
+      expect(histogramCollector.getAverage()).to.be.equal(sortCollector.getAverage())
+      expect(histogramCollector.ave).to.be.equal(sortCollector.ave)
+      expect(histogramCollector.sum).to.be.equal(sortCollector.sum)
+    })
+
+    it('should return NaN median on empty data, same as sort mode', () => {
+      const {sortCollector, histogramCollector} = createCollectors([])
+
+      expect(Number.isNaN(histogramCollector.getMedian())).to.be.equal(true)
+      expect(Number.isNaN(sortCollector.getMedian())).to.be.equal(true)
+    })
+
+    it('should count values above timeout in the last bin', () => {
+      const {histogramCollector, sortCollector} = createCollectors([10, 25000, 30000])
+
+      expect(histogramCollector.getMedian()).to.be.equal(RESPONSE_TIMEOUT)
+      expect(histogramCollector.getAverage()).to.be.equal(sortCollector.getAverage())
+      expect(sortCollector.getMedian()).to.be.equal(25000)
+    })
 
-      const result = statsCollector.getAverage()
+    it('should count timeouts in the last bin when they are included', () => {
+      const statsCollector = new StatsCollector({mode: 'histogram', includeTimeouts: true})
+      statsCollector.pushValue(10)
+      statsCollector.pushTimeout()
+      statsCollector.pushTimeout()
 
-      expect(result).to.be.equal(0)
+      expect(statsCollector.getMedian()).to.be.equal(RESPONSE_TIMEOUT)
+      expect(statsCollector.getHistogram().length).to.be.equal(1)
     })
 
-    it('should return average on single value', () => {
-      const val = 123
-      const statsCollector = new StatsCollector()
-      statsCollector.pushValue(val)
+    it('should keep segments of the retention period only', () => {
+      let now = 0
+      const statsCollector = new StatsCollector({mode: 'histogram', clock: () => now})
 
-      const result = statsCollector.getAverage()
+      for (let i = 0; i < 100; i++) {
+        now = i * 3 * HOUR
+        statsCollector.pushValue(i)
+      }
 
-      expect(result).to.be.equal(val)
+      // 7 days and the current one
+      expect(statsCollector.segments.length).to.be.equal(8)
+      expect(statsCollector.segments[0].start).to.be.equal(DAY * 5)
+      expect(statsCollector.length).to.be.equal(100 - 5 * 8)
     })
 
-    it('should return average on multiple values', () => {
-      const values = [10, 20, 30]
-      const statsCollector = new StatsCollector()
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+    it('should keep segments sorted when samples come late', () => {
+      const statsCollector = new StatsCollector({mode: 'histogram', clock: () => DAY * 2})
 
-      const result = statsCollector.getAverage()
-      const expectedVal = values.reduce((c, v) => c + v) / values.length
+      statsCollector.pushValue(1, DAY * 2)
+      statsCollector.pushValue(2, 0)
+      statsCollector.pushValue(3, DAY)
+      statsCollector.pushValue(4, DAY + 1)
 
-      expect(result).to.be.equal(expectedVal)
+      expect(statsCollector.segments.map(v => v.start)).to.be.deep.equal([0, DAY, DAY * 2])
+      expect(statsCollector.segments[1].histogram.length).to.be.equal(2)
     })
 
-    it('should return cached value when dataset is equal to whole data', () => {
-      const values = [10, 20, 30]
-      const statsCollector = new StatsCollector()
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+    it('should round the window up to whole segments', () => {
+      const now = DAY * 2 + HOUR
+      const statsCollector = new StatsCollector({mode: 'histogram', clock: () => now})
+      statsCollector.pushValue(1, 0)
+      statsCollector.pushValue(2, HOUR)
+      statsCollector.pushValue(10, DAY)
+      statsCollector.pushValue(20, DAY + HOUR)
+      statsCollector.pushValue(30, now)
+
+      expect(statsCollector.segments.length).to.be.equal(3)
+      expect(statsCollector.getMedian(1)).to.be.equal(20)
+      expect(statsCollector.getAverage(1)).to.be.equal(20)
+      expect(statsCollector.getMedian(7)).to.be.equal(10)
+      expect(statsCollector.getMedian({from: 0, to: HOUR})).to.be.equal(1.5)
+    })
 
-      const result = statsCollector.getAverage()
-      const expectedVal = values.reduce((c, v) => c + v) / values.length
+    it('should throw an error on getDataset', () => {
+      const statsCollector = new StatsCollector({mode: 'histogram'})
 
-      expect(statsCollector.ave).to.be.equal(result)
-      expect(result).to.be.equal(expectedVal)
+      expect(() => statsCollector.getDataset()).to.throw('Dataset is not available in histogram mode')
     })
 
-    it('should return calculated value when dataset is not equal to data', () => {
-      const values = [10, 20, 30]
-      const statsCollector = new StatsCollector()
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+    it('should throw an error on wrong days argument', () => {
+      const statsCollector = new StatsCollector({mode: 'histogram'})
 
-      // dirty hack for mocking, cause don't want to add sinon here
-      statsCollector.getDatasetStartIndex = function () {
-        return 1
-      }
+      expect(() => statsCollector.getHistogram('3')).to.throw('Incorrect days value')
+      expect(() => statsCollector.getHistogram(-1)).to.throw('Negative days not allowed')
+      expect(() => new StatsCollector().getHistogram()).to.throw('Histogram is available in histogram mode only')
+    })
+  })
+})
 
-      const result = statsCollector.getAverage()
-      const wholeDataAve = values.reduce((c, v) => c + v) / values.length
-      const datasetAve = (values[1] + values[2]) / 2
+describe('selectRank.', () => {
+  // deterministic pseudo-random values with a lot of duplicates
+  function createValues (length, seed = 1) {
+    return Float64Array.from({length}, (v, i) => ((i + seed) * 7919 * (seed + 13)) % 997)
+  }
 
-      expect(statsCollector.ave).to.be.equal(wholeDataAve)
-      expect(statsCollector.ave).to.be.not.equal(datasetAve)
-      expect(result).to.be.equal(datasetAve)
+  it('should select the same values as sort', () => {
+    [1, 2, 17, 100, 1001].forEach(length => {
+      const sorted = createValues(length).sort()
+      for (let rank = 0; rank < length; rank += Math.ceil(length / 10)) {
+        expect(selectRank(createValues(length), rank)).to.be.equal(sorted[rank])
+      }
     })
+  })
 
-    it('should throw an error on wrong days argument', () => {
-      const statsCollector = new StatsCollector()
+  it('should partition the values around the rank', () => {
+    const values = createValues(1000, 3)
+    const median = selectRank(values, 500)
 
-      const expectedResult = 'Incorrect days value'
+    expect(values.subarray(0, 500).every(v => v <= median)).to.be.equal(true)
+    expect(values.subarray(501).every(v => v >= median)).to.be.equal(true)
+  })
 
-      expect(() => statsCollector.getAverage('')).to.throw(expectedResult)
-      expect(() => statsCollector.getAverage('3')).to.throw(expectedResult)
-      expect(() => statsCollector.getAverage('seven')).to.throw(expectedResult)
-      expect(() => statsCollector.getAverage(null)).to.throw(expectedResult)
-      expect(() => statsCollector.getAverage({})).to.throw(expectedResult)
-      expect(() => statsCollector.getAverage([])).to.throw(expectedResult)
-      expect(() => statsCollector.getAverage(Infinity)).to.throw(expectedResult)
-    })
+  it('should select from sorted, reversed and equal values', () => {
+    const sorted = Float64Array.from({length: 1000}, (v, i) => i)
+    const reversed = Float64Array.from({length: 1000}, (v, i) => 999 - i)
+    const equal = new Float64Array(1000).fill(5)
 
-    it('should throw an error when days is negative', () => {
-      const statsCollector = new StatsCollector()
+    expect([sorted, reversed, equal].map(v => selectRank(v, 250))).to.be.deep.equal([250, 250, 5])
+  })
 
-      const expectedResult = 'Negative days not allowed'
+  it('should select several ranks', () => {
+    const values = createValues(1000, 5)
+    const sorted = createValues(1000, 5).sort()
 
-      expect(() => statsCollector.getAverage(-1)).to.throw(expectedResult)
-      expect(() => statsCollector.getAverage(-10)).to.throw(expectedResult)
-    })
+    expect(selectRanks(values, 1000, [999, 0, 500, 499, 500, -1, 1000])).to.be.deep.equal([999, 0, 500, 499, 500, undefined, undefined].map(rank => sorted[rank]))
   })
 
-  describe('getMedian.', () => {
-    it('should calculate the median request time with 1 request', () => {
-      const val = 10
-      const statsCollector = new StatsCollector()
-      statsCollector.pushValue(val)
+  it('should not reorder the samples of the collector', () => {
+    const statsCollector = new StatsCollector()
+    const values = [5, 3, 9, 1]
+    values.forEach(v => statsCollector.pushValue(v))
 
-      const result = statsCollector.getMedian()
+    expect(statsCollector.getMedian()).to.be.equal(4)
+    expect(statsCollector.data).to.be.deep.equal(values)
+  })
 
-      expect(result).to.be.equal(val)
+  // BENCHMARK=1 mocha src/q8.js
+  const benchmarkIt = process.env.BENCHMARK ? it : it.skip
+  benchmarkIt('should be faster than sort', function () {
+    this.timeout(60000)
+    const length = 1000000
+    const statsCollector = new StatsCollector({clock: () => DAY, rollups: [], ewmaHalfLives: [], slidingWindows: []})
+    createValues(length).forEach(v => statsCollector.pushValue(v))
+
+    const measure = fn => {
+      const start = process.hrtime()
+      const result = fn()
+      const [seconds, nanoseconds] = process.hrtime(start)
+      return {result, ms: seconds * 1000 + nanoseconds / 1e6}
+    }
+    const sorted = measure(() => {
+      const arr = statsCollector.getDataset().sort((a, b) => a - b)
+      return (arr[length / 2 - 1] + arr[length / 2]) / 2
     })
+    const selected = measure(() => statsCollector.getMedian())
 
-    it('should return median in case of even length', () => {
-      const values = [10, 20]
+    // the timings are shown in the title of the test by the reporter
+    this.test.title += ` (median of ${length} values: sort ${sorted.ms.toFixed(1)}ms, select ${selected.ms.toFixed(1)}ms)`
+    expect(selected.result).to.be.equal(sorted.result)
+    expect(selected.ms).to.be.below(sorted.ms)
+  })
+})
 
-      const statsCollector = new StatsCollector()
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
+describe('SampleBuffer.', () => {
+  it('should keep samples sorted by timestamp', () => {
+    const buffer = new SampleBuffer()
 
-      expect(values.length % 2).to.be.eq(0)
+    buffer.push(1, 10)
+    buffer.push(2, 30)
+    buffer.push(3, 20)
 
-      const result = statsCollector.getMedian()
-      const expectedResult = (values[0] + values[1]) / values.length
+    expect(buffer.slice()).to.be.deep.equal([1, 3, 2])
+    expect(buffer.getTimestamps()).to.be.deep.equal([10, 20, 30])
+  })
 
-      expect(result).to.be.equal(expectedResult)
-    })
+  it('should skip shifted samples', () => {
+    const buffer = new SampleBuffer()
+    buffer.push(1, 10)
+    buffer.push(2, 20)
+    buffer.push(3, 30)
+
+    expect(buffer.shift()).to.be.equal(1)
+    expect(buffer.length).to.be.equal(2)
+    expect(buffer.getOldestTimestamp()).to.be.equal(20)
+    expect(buffer.slice(1)).to.be.deep.equal([3])
+    expect(buffer.lowerBound(20)).to.be.equal(0)
+    expect(buffer.upperBound(20)).to.be.equal(1)
+
+    buffer.push(4, 15)
+    expect(buffer.slice()).to.be.deep.equal([4, 2, 3])
+  })
 
-    it('should return median in case of odd length', () => {
-      const values = [10, 60, 30, 40, 50, 20, 70]
-      const statsCollector = new StatsCollector()
-      values.forEach(v => statsCollector.pushValue(v))
-      expect(values.length % 2).to.be.eq(1)
+  it('should free the chunks after many shifts', () => {
+    const buffer = new SampleBuffer()
+    for (let i = 0; i < SAMPLE_CHUNK_SIZE * 3; i++) buffer.push(i, i)
+    for (let i = 0; i < SAMPLE_CHUNK_SIZE * 2 + 1; i++) buffer.shift()
 
-      const result = statsCollector.getMedian()
-      const sortedVals = values.sort((a, b) => a - b)
-      const expectedVal = sortedVals[Math.floor(sortedVals.length / 2)]
+    expect(buffer.capacity).to.be.equal(SAMPLE_CHUNK_SIZE)
+    expect(buffer.length).to.be.equal(SAMPLE_CHUNK_SIZE - 1)
+    expect(buffer.slice(0, 1)).to.be.deep.equal([SAMPLE_CHUNK_SIZE * 2 + 1])
+  })
 
-      expect(result).to.be.eq(expectedVal)
-    })
+  it('should reuse the freed chunk', () => {
+    const buffer = new SampleBuffer()
+    for (let i = 0; i < SAMPLE_CHUNK_SIZE; i++) buffer.push(i, i)
+    const chunk = buffer.chunks[0]
+    for (let i = 0; i < SAMPLE_CHUNK_SIZE; i++) buffer.shift()
+    buffer.push(1, SAMPLE_CHUNK_SIZE)
 
-    it('should throw an error on wrong days argument', () => {
-      const statsCollector = new StatsCollector()
+    expect(buffer.chunks).to.be.deep.equal([chunk])
+    expect(buffer.slice()).to.be.deep.equal([1])
+  })
 
-      const expectedResult = 'Incorrect days value'
+  it('should insert late samples across the chunks', () => {
+    const buffer = new SampleBuffer()
+    const length = SAMPLE_CHUNK_SIZE * 2 + 10
+    for (let i = 0; i < length; i++) buffer.push(i, i * 2)
+    buffer.shift()
+    buffer.push(-1, 3)
+
+    const values = buffer.slice()
+    expect(values.slice(0, 3)).to.be.deep.equal([1, -1, 2])
+    expect(values[values.length - 1]).to.be.equal(length - 1)
+    expect(buffer.getTimestamps().every((v, i, arr) => !i || arr[i - 1] <= v)).to.be.equal(true)
+    expect(Array.from(buffer.copyTo(new Float64Array(length), 1))).to.be.deep.equal(values.slice(1).concat([0]))
+  })
 
-      expect(() => statsCollector.getMedian('')).to.throw(expectedResult)
-      expect(() => statsCollector.getMedian('3')).to.throw(expectedResult)
-      expect(() => statsCollector.getMedian('seven')).to.throw(expectedResult)
-      expect(() => statsCollector.getMedian(null)).to.throw(expectedResult)
-      expect(() => statsCollector.getMedian({})).to.throw(expectedResult)
-      expect(() => statsCollector.getMedian([])).to.throw(expectedResult)
-      expect(() => statsCollector.getMedian(Infinity)).to.throw(expectedResult)
-    })
+  it('should keep integer values in Uint32Array', () => {
+    const buffer = new SampleBuffer({integerMs: true})
+    buffer.push(12, 1)
 
-    it('should throw an error when days is negative', () => {
-      const statsCollector = new StatsCollector()
+    expect(buffer.chunks[0].values).to.be.instanceof(Uint32Array)
+    expect(buffer.slice()).to.be.deep.equal([12])
+  })
+})
 
-      const expectedResult = 'Negative days not allowed'
+describe('QuantileSketch.', () => {
+  it('should count the values not bigger than the value', () => {
+    const sketch = new QuantileSketch()
+    const values = [0, 1, 10, 100, 1000]
+    values.forEach(v => sketch.add(v))
 
-      expect(() => statsCollector.getMedian(-1)).to.throw(expectedResult)
-      expect(() => statsCollector.getMedian(-10)).to.throw(expectedResult)
-    })
+    expect([-1, 0, 5, 10, 900, 2000].map(v => sketch.getCountAtMost(v))).to.be.deep.equal([0, 1, 2, 3, 4, 5])
   })
 
-  describe('getDataset.', () => {
-    it('should return proper slice of data', () => {
-      const values = [1, 2, 3]
-      const statsCollector = new StatsCollector()
+  it('should return quantiles with relative error not bigger than accuracy', () => {
+    const relativeAccuracy = 0.01
+    const sketch = new QuantileSketch(relativeAccuracy)
+    const values = []
+    for (let i = 1; i <= 19000; i += 7) values.push(i)
+    values.forEach(v => sketch.add(v))
 
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+    const percentiles = [1, 10, 25, 50, 75, 90, 99, 99.9]
+    const results = sketch.getPercentiles(percentiles)
 
-      statsCollector.getDatasetStartIndex = () => 0
-      expect(statsCollector.getDataset(0)).to.be.deep.equal(values)
+    percentiles.forEach((p, i) => {
+      const exact = interpolatePercentile(p, values.length, rank => values[rank])
+      expect(results[i]).to.be.closeTo(exact, exact * relativeAccuracy)
+    })
+  })
 
-      statsCollector.getDatasetStartIndex = () => 1
-      expect(statsCollector.getDataset(1)).to.be.deep.equal(values.slice(1, values.length))
+  it('should keep exact count, sum, min and max', () => {
+    const sketch = new QuantileSketch()
+    const values = [0, 3, 10, 1000]
+    values.forEach(v => sketch.add(v))
 
-      statsCollector.getDatasetStartIndex = () => 2
-      expect(statsCollector.getDataset(1)).to.be.deep.equal(values.slice(2, values.length))
-    })
+    expect(sketch).to.include({length: 4, sum: 1013, min: 0, max: 1000, zeroCount: 1})
+    expect(sketch.getPercentile(0)).to.be.equal(0)
+    expect(sketch.getPercentile(100)).to.be.equal(1000)
+    expect(sketch.getAverage()).to.be.equal(1013 / 4)
+  })
 
-    it('should throw an error on wrong days argument', () => {
-      const statsCollector = new StatsCollector()
+  it('should return NaN on empty sketch', () => {
+    const sketch = new QuantileSketch()
 
-      const expectedResult = 'Incorrect days value'
+    expect(Number.isNaN(sketch.getMedian())).to.be.equal(true)
+    expect(sketch.getAverage()).to.be.equal(0)
+  })
 
-      expect(() => statsCollector.getDataset('')).to.throw(expectedResult)
-      expect(() => statsCollector.getDataset('3')).to.throw(expectedResult)
-      expect(() => statsCollector.getDataset('seven')).to.throw(expectedResult)
-      expect(() => statsCollector.getDataset(null)).to.throw(expectedResult)
-      expect(() => statsCollector.getDataset({})).to.throw(expectedResult)
-      expect(() => statsCollector.getDataset([])).to.throw(expectedResult)
-      expect(() => statsCollector.getDataset(Infinity)).to.throw(expectedResult)
-    })
+  it('should merge sketches', () => {
+    const first = new QuantileSketch()
+    const second = new QuantileSketch()
+    const whole = new QuantileSketch()
+    for (let i = 1; i <= 100; i++) {
+      (i % 2 ? first : second).add(i)
+      whole.add(i)
+    }
 
-    it('should throw an error when days is negative', () => {
-      const statsCollector = new StatsCollector()
+    first.merge(second)
 
-      const expectedResult = 'Negative days not allowed'
+    expect(first.length).to.be.equal(whole.length)
+    expect(first.sum).to.be.equal(whole.sum)
+    expect(first.getPercentiles([10, 50, 90])).to.be.deep.equal(whole.getPercentiles([10, 50, 90]))
+  })
 
-      expect(() => statsCollector.getDataset(-1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDataset(-10)).to.throw(expectedResult)
-    })
+  it('should throw an error on merge of sketches with different accuracy', () => {
+    expect(() => new QuantileSketch(0.01).merge(new QuantileSketch(0.02))).to.throw('Sketches with different accuracy can\'t be merged')
   })
 
-  describe('getDatasetStartIndex.', () => {
-    it('should return 0 if data length shorter then range', () => {
-      const values = [1, 2, 3]
-      const statsCollector = new StatsCollector()
-      const days = 1
+  it('should throw an error on wrong accuracy', () => {
+    expect(() => new QuantileSketch('0.01')).to.throw('Incorrect relativeAccuracy value')
+    expect(() => new QuantileSketch(0)).to.throw('relativeAccuracy should be between 0 and 1')
+    expect(() => new QuantileSketch(1)).to.throw('relativeAccuracy should be between 0 and 1')
+  })
+})
 
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+describe('CountingHistogram.', () => {
+  it('should round values to 1ms bins', () => {
+    const histogram = new CountingHistogram()
+    histogram.add(10.4)
+    histogram.add(10.6)
 
-      const expectedResult = statsCollector.getDatasetStartIndex(days, statsCollector.length)
+    expect(histogram.counts[10]).to.be.equal(1)
+    expect(histogram.counts[11]).to.be.equal(1)
+    expect(histogram.sum).to.be.equal(21)
+  })
 
-      expect(expectedResult).to.be.equal(0)
-    })
+  it('should return value at rank', () => {
+    const histogram = new CountingHistogram()
+    const values = [30, 10, 20, 20]
+    values.forEach(v => histogram.add(v))
 
-    it('should return slice start if data length greater then range', () => {
-      const values = [1, 2, 3]
-      const statsCollector = new StatsCollector()
-      const days = 1
-      const expectedRange = REQUESTS_PER_SECOND * (DAY * days) // a bit hacky
+    expect(histogram.getValueAtRank(0)).to.be.equal(10)
+    expect(histogram.getValueAtRank(1)).to.be.equal(20)
+    expect(histogram.getValueAtRank(2)).to.be.equal(20)
+    expect(histogram.getValueAtRank(3)).to.be.equal(30)
+  })
 
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+  it('should return values at multiple ranks in original order', () => {
+    const histogram = new CountingHistogram()
+    const values = [30, 10, 20, 20]
+    values.forEach(v => histogram.add(v))
+
+    expect(histogram.getValuesAtRanks([3, 0, 2, 1])).to.be.deep.equal([30, 10, 20, 20])
+    expect(histogram.getValuesAtRanks([4])).to.be.deep.equal([undefined])
+  })
 
-      const constMockedArrLength = expectedRange + 1
+  it('should merge histograms', () => {
+    const first = new CountingHistogram()
+    const second = new CountingHistogram()
+    first.add(10)
+    second.add(20)
+    second.add(30)
 
-      const expectedResult = statsCollector.getDatasetStartIndex(days, constMockedArrLength)
+    first.merge(second)
 
-      expect(expectedResult).to.be.equal(constMockedArrLength - expectedRange)
+    expect(first.length).to.be.equal(3)
+    expect(first.sum).to.be.equal(60)
+    expect(first.getMedian()).to.be.equal(20)
+  })
+})
+
+describe('AlertEvaluator.', () => {
+  function createEvaluator () {
+    let now = DAY
+    const statsCollector = new StatsCollector({clock: () => now})
+    const events = []
+    const evaluator = new AlertEvaluator(statsCollector, {
+      onFire: alert => events.push(['fire', alert]),
+      onResolve: alert => events.push(['resolve', alert])
     })
+    // pushes a minute of values and evaluates the rules at its end
+    const tick = value => {
+      for (let i = 0; i < 60; i++) {
+        now += SECOND
+        statsCollector.pushValue(value)
+      }
+      return evaluator.evaluate()
+    }
 
-    it('should throw an error on wrong days argument', () => {
-      const statsCollector = new StatsCollector()
+    return {statsCollector, evaluator, events, tick, setNow: value => { now = value }}
+  }
 
-      const expectedResult = 'Incorrect days value'
+  it('should fire after the consecutive breaches', () => {
+    const {evaluator, events, tick} = createEvaluator()
+    evaluator.addRule({name: 'slow', stat: 'percentile', percentile: 99, window: MINUTE, threshold: 2000, for: 3})
 
-      expect(() => statsCollector.getDatasetStartIndex('', 1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex('3', 1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex('seven', 1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(null, 1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex({}, 1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex([], 1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(Infinity, 1)).to.throw(expectedResult)
-    })
+    tick(3000)
+    tick(3000)
+    expect(events).to.be.deep.equal([])
+    expect(evaluator.getState('slow')).to.include({firing: false, breaches: 2, value: 3000})
 
-    it('should throw an error on wrong dataLength argument', () => {
-      const statsCollector = new StatsCollector()
+    const [state] = tick(3000)
+    expect(state).to.include({name: 'slow', firing: true, firedAt: DAY + 3 * MINUTE})
+    expect(events).to.be.deep.equal([['fire', {name: 'slow', labels: undefined, value: 3000, threshold: 2000, firedAt: DAY + 3 * MINUTE, at: DAY + 3 * MINUTE}]])
 
-      const expectedResult = 'Incorrect dataLength value'
+    tick(3000)
+    expect(events.length).to.be.equal(1)
+  })
 
-      expect(() => statsCollector.getDatasetStartIndex(1, '')).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(1, '1')).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(1, 'seven')).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(1, null)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(1, {})).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(1, [])).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(1, Infinity)).to.throw(expectedResult)
-    })
+  it('should start over when the breaches are not consecutive', () => {
+    const {evaluator, events, tick} = createEvaluator()
+    evaluator.addRule({name: 'slow', window: MINUTE, threshold: 2000, for: 2})
 
-    it('should throw an error when days is negative', () => {
-      const statsCollector = new StatsCollector()
+    tick(3000)
+    tick(1000)
+    tick(3000)
+    expect(events).to.be.deep.equal([])
 
-      const expectedResult = 'Negative days not allowed'
+    tick(3000)
+    expect(events.map(v => v[0])).to.be.deep.equal(['fire'])
+  })
 
-      expect(() => statsCollector.getDatasetStartIndex(-1, 1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(-10, 1)).to.throw(expectedResult)
-    })
+  it('should resolve below the resolve threshold only', () => {
+    const {evaluator, events, tick} = createEvaluator()
+    evaluator.addRule({name: 'slow', window: MINUTE, threshold: 2000, resolveThreshold: 1500, resolveAfter: 2})
 
-    it('should throw an error when dataLength is negative', () => {
-      const statsCollector = new StatsCollector()
+    tick(2500)
+    tick(1800)
+    tick(1000)
+    expect(events.map(v => v[0])).to.be.deep.equal(['fire'])
+
+    tick(1000)
+    expect(events.map(v => v[0])).to.be.deep.equal(['fire', 'resolve'])
+    expect(events[1][1]).to.include({value: 1000, firedAt: DAY + MINUTE, at: DAY + 4 * MINUTE})
+    expect(evaluator.getState('slow')).to.include({firing: false, firedAt: null})
+  })
 
-      const expectedResult = 'Negative dataLength not allowed'
+  it('should compare with the baseline', () => {
+    const {statsCollector, evaluator, events, setNow} = createEvaluator()
+    evaluator.addRule({name: 'slower', window: DAY, baseline: {offset: DAY}, threshold: 1.5})
+    for (let i = 0; i < 48; i++) statsCollector.pushValue(i < 24 ? 100 : 140, DAY + i * HOUR)
 
-      expect(() => statsCollector.getDatasetStartIndex(1, -1)).to.throw(expectedResult)
-      expect(() => statsCollector.getDatasetStartIndex(10, -10)).to.throw(expectedResult)
-    })
+    setNow(3 * DAY - 1)
+    expect(evaluator.evaluate()[0].value).to.be.equal(1.4)
+    expect(events).to.be.deep.equal([])
+
+    for (let i = 0; i < 30; i++) statsCollector.pushValue(160, 3 * DAY - 1)
+    expect(evaluator.evaluate()[0].value).to.be.equal(1.6)
+    expect(events.map(v => v[0])).to.be.deep.equal(['fire'])
   })
 
-  describe('pushValue.', () => {
-    it('should add value to data', () => {
-      const statsCollector = new StatsCollector()
-      const values = [1, 2, 10]
+  it('should use the labels and the "<" operator', () => {
+    const {statsCollector, evaluator, events} = createEvaluator()
+    evaluator.addRule({name: 'fast', stat: 'average', window: DAY, labels: {route: '/a'}, operator: '<', threshold: 10})
+    statsCollector.pushValue(5, {route: '/a'})
+    statsCollector.pushValue(50, {route: '/b'})
 
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+    evaluator.evaluate()
+    expect(events.map(v => v[1].labels)).to.be.deep.equal([{route: '/a'}])
+  })
 
-      expect(statsCollector.data).to.deep.equal(values)
-    })
+  it('should keep the state without data', () => {
+    const {evaluator, events, tick, setNow} = createEvaluator()
+    evaluator.addRule({name: 'slow', window: MINUTE, threshold: 2000})
 
-    it('should update static fields on add', () => {
-      const statsCollector = new StatsCollector()
-      const values = [1, 2, 10]
+    tick(3000)
+    setNow(DAY + HOUR)
+    expect(Number.isNaN(evaluator.evaluate()[0].value)).to.be.equal(true)
+    expect(evaluator.getState('slow').firing).to.be.equal(true)
+    expect(events.length).to.be.equal(1)
+  })
 
-      statsCollector.pushValue(values[0])
-      statsCollector.pushValue(values[1])
-      statsCollector.pushValue(values[2])
+  it('should evaluate on the interval', () => {
+    const timers = {setInterval: (fn, ms) => ({fn, ms}), clearInterval: sinon.spy()}
+    const evaluator = new AlertEvaluator(new StatsCollector(), {timers})
+    const evaluate = sinon.stub(evaluator, 'evaluate')
 
-      const expectedAve = values.reduce((c, v) => c + v) / values.length
-      const expectedSum = values.reduce((c, v) => c + v)
+    evaluator.start(SECOND)
+    expect(evaluator.interval.ms).to.be.equal(SECOND)
+    evaluator.interval.fn()
+    expect(evaluate.calledOnce).to.be.equal(true)
 
-      expect(statsCollector.ave).to.deep.equal(expectedAve)
-      expect(statsCollector.sum).to.deep.equal(expectedSum)
-    })
+    const interval = evaluator.interval
+    evaluator.stop()
+    expect(timers.clearInterval.calledWith(interval)).to.be.equal(true)
+    expect(evaluator.interval).to.be.equal(null)
+  })
 
-    it('should throw an error when value has incorrect type', () => {
-      const statsCollector = new StatsCollector()
+  it('should remove the rule', () => {
+    const {evaluator} = createEvaluator()
+    evaluator.addRule({name: 'slow', threshold: 2000})
 
-      const expectedResult = 'Incorrect responseTimeMs value'
+    expect(evaluator.removeRule('slow')).to.be.equal(true)
+    expect(evaluator.getState('slow')).to.be.equal(null)
+    expect(evaluator.evaluate()).to.be.deep.equal([])
+  })
 
-      expect(() => statsCollector.pushValue('')).to.throw(expectedResult)
-      expect(() => statsCollector.pushValue(null)).to.throw(expectedResult)
-      expect(() => statsCollector.pushValue({})).to.throw(expectedResult)
-      expect(() => statsCollector.pushValue([])).to.throw(expectedResult)
-      expect(() => statsCollector.pushValue('10')).to.throw(expectedResult)
-      expect(() => statsCollector.pushValue(undefined)).to.throw(expectedResult)
-    })
+  it('should throw an error on incorrect rules', () => {
+    const {evaluator} = createEvaluator()
+    evaluator.addRule({name: 'slow', threshold: 2000})
+
+    expect(() => new AlertEvaluator({})).to.throw('Incorrect collector value')
+    expect(() => evaluator.addRule({threshold: 1})).to.throw('Incorrect name value')
+    expect(() => evaluator.addRule({name: 'slow', threshold: 1})).to.throw('Rule "slow" already exists')
+    expect(() => evaluator.addRule({name: 'a'})).to.throw('Incorrect threshold value')
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, resolveThreshold: 2})).to.throw('Incorrect resolveThreshold value')
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, operator: '>='})).to.throw('Incorrect operator value')
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, for: 0})).to.throw('Incorrect for value')
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, stat: 'mode'})).to.throw('Incorrect stat value')
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, stat: 'percentile'})).to.throw('Incorrect percentile value')
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, window: -1})).to.throw('Incorrect window value')
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, baseline: 1})).to.throw('Incorrect baseline value')
+  })
 
-    it('should throw an error when responseTimeMs is negative', () => {
-      const statsCollector = new StatsCollector()
+  it('should reject the windows shorter than the daily buckets', () => {
+    const {evaluator} = createEvaluator()
+    const histogramEvaluator = new AlertEvaluator(new StatsCollector({mode: 'histogram'}))
+    const message = 'Windows of labeled and histogram mode queries should be whole days'
 
-      const expectedResult = 'Negative responseTimeMs not allowed'
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, labels: {route: '/x'}})).to.throw(message)
+    expect(() => evaluator.addRule({name: 'a', threshold: 1, window: DAY, labels: {route: '/x'}, baseline: {offset: HOUR}})).to.throw(message)
+    expect(() => histogramEvaluator.addRule({name: 'a', threshold: 1, window: 36 * HOUR})).to.throw(message)
 
-      expect(() => statsCollector.pushValue(-1)).to.throw(expectedResult)
-      expect(() => statsCollector.pushValue(-10)).to.throw(expectedResult)
-    })
+    evaluator.addRule({name: 'daily', threshold: 1, window: 2 * DAY, labels: {route: '/x'}, baseline: {}})
+    evaluator.addRule({name: 'unlabeled', threshold: 1, labels: {}})
+    histogramEvaluator.addRule({name: 'daily', threshold: 1, window: DAY})
   })
 })
 
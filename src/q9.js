@@ -27,6 +27,8 @@
 
 // TODO (S.Panfilov)
 let fetch = require('node-fetch')
+// node 12 has no AbortController, node-fetch cancels the request with the signal of the polyfill as well
+const AbortController = global.AbortController || require('abort-controller')
 
 const API_BASE_URL = 'http://ui-developer-backend.herokuapp.com/api'
 
@@ -38,77 +40,410 @@ const ERRORS = {
   serviceUnavailable: 503
 }
 
+const ERROR_MESSAGES = {
+  [ERRORS.badRequest]: 'Bad request',
+  [ERRORS.notFound]: 'Not found',
+  [ERRORS.methodNotAllowed]: 'Method not allowed',
+  [ERRORS.internalServerError]: 'Internal server error',
+  [ERRORS.serviceUnavailable]: 'Service unavailable'
+}
+
+// statuses worth another attempt: the server is overloaded or restarting
+const RETRY_STATUSES = [ERRORS.internalServerError, 502, ERRORS.serviceUnavailable, 504, 429]
+// only idempotent requests are retried
+const RETRY_METHODS = ['GET', 'HEAD']
+
+// Non-ok response of the API, e.g. a missing conversation (status 404) or an outage (status 503)
+class ApiError extends Error {
+  constructor (message, {status, url, method, body} = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.url = url
+    this.method = method
+    this.body = body
+  }
+}
+
+// the caller aborted the request (or the summaries)
+class AbortError extends Error {
+  constructor (message = 'Aborted') {
+    super(message)
+    this.name = 'AbortError'
+  }
+}
+
+// a request or the summaries took longer than the timeout
+class TimeoutError extends Error {
+  constructor (message, {timeout, url} = {}) {
+    super(message)
+    this.name = 'TimeoutError'
+    this.timeout = timeout
+    this.url = url
+  }
+}
+
+// the reason of our signals, AbortError for the rest (e.g. AbortController.abort() of the caller)
+function getAbortError (signal) {
+  const {reason} = signal
+  return (reason instanceof AbortError || reason instanceof TimeoutError) ? reason : new AbortError()
+}
+
+// AbortSignal-like object for the summaries with the reason of abort(), the polyfill of node 12 has none
+function createAbortSignal () {
+  const listeners = new Set()
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    abort (reason) {
+      if (signal.aborted) return
+      Object.assign(signal, {aborted: true, reason})
+      listeners.forEach(listener => listener())
+      listeners.clear()
+    }
+  }
+
+  return signal
+}
+
+// Promise.all of fn(item, index) with not more than concurrency calls in flight, the results keep the order.
+// No calls are started after a rejection
+async function mapConcurrently (items, concurrency, fn) {
+  if (concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) throw new Error('Incorrect concurrency value')
+
+  const results = new Array(items.length)
+  let next = 0
+  let isFailed = false
+
+  const run = async () => {
+    while (next < items.length && !isFailed) {
+      const index = next++
+      try {
+        results[index] = await fn(items[index], index)
+      } catch (err) {
+        isFailed = true
+        throw err
+      }
+    }
+  }
+
+  await Promise.all(Array.from({length: Math.min(concurrency, items.length)}, run))
+  return results
+}
+
+// In the partial mode the error of a conversation is returned as {id, error} in place of its result,
+// unless the summaries are aborted
+async function settleConversation (id, fn, {signal, partial}) {
+  if (!partial) return fn()
+
+  try {
+    return await fn()
+  } catch (err) {
+    if (signal && signal.aborted) throw err
+    return {id, error: err}
+  }
+}
+
+// Users of mapResult by id, shared by the runs of getRecentConversationSummaries. A user is fetched once:
+// the callers of a user in flight get the same request and the received user is reused for ttl ms.
+// The request has its own signal: the signal of a caller rejects just its call, the request is aborted
+// once all of its callers abort. Failed requests aren't cached, expired users are dropped on misses
+// and not more than maxSize users are kept (the oldest ones are dropped)
+class UserCache {
+  constructor ({ttl = 5 * 60 * 1000, maxSize = 1000, clock = Date.now} = {}) {
+    if (!(ttl >= 0)) throw new Error('Incorrect ttl value')
+    if (!(Number.isInteger(maxSize) && maxSize > 0)) throw new Error('Incorrect maxSize value')
+
+    this.ttl = ttl
+    this.maxSize = maxSize
+    this.clock = clock
+    // id -> {promise, expiresAt, signal, callers}, expiresAt is undefined while the user is in flight
+    this.entries = new Map()
+    // hits of the received users, deduplicated calls of the users in flight and fetched users
+    this.stats = {hits: 0, deduplicated: 0, misses: 0}
+  }
+
+  get size () {
+    return this.entries.size
+  }
+
+  // load(signal) requests the user
+  get (id, load, {signal} = {}) {
+    if (signal && signal.aborted) return Promise.reject(getAbortError(signal))
+
+    const key = String(id)
+    const cached = this.entries.get(key)
+    const now = this.clock()
+
+    if (cached && cached.expiresAt === undefined) {
+      this.stats.deduplicated++
+      return this.wait(key, cached, signal)
+    }
+    if (cached && cached.expiresAt > now) {
+      this.stats.hits++
+      return cached.promise
+    }
+
+    this.stats.misses++
+    this.entries.forEach((v, k) => {
+      if (v.expiresAt <= now) this.entries.delete(k)
+    })
+
+    const entry = {promise: null, expiresAt: undefined, signal: createAbortSignal(), callers: 0}
+    // an entry invalidated in flight isn't restored
+    const isCurrent = () => this.entries.get(key) === entry
+    entry.promise = Promise.resolve().then(() => load(entry.signal)).then(user => {
+      if (isCurrent()) entry.expiresAt = this.clock() + this.ttl
+      return user
+    }, err => {
+      if (isCurrent()) this.entries.delete(key)
+      throw err
+    })
+    this.entries.set(key, entry)
+    if (this.entries.size > this.maxSize) this.entries.delete(this.entries.keys().next().value)
+
+    return this.wait(key, entry, signal)
+  }
+
+  // the user in flight or the abort error of the signal of the caller, whichever comes first
+  wait (key, entry, signal) {
+    entry.callers++
+    if (!signal) return entry.promise
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(getAbortError(signal))
+        if (--entry.callers || entry.expiresAt !== undefined) return
+
+        // nobody waits for the user anymore
+        if (this.entries.get(key) === entry) this.entries.delete(key)
+        entry.signal.abort(new AbortError())
+      }
+      signal.addEventListener('abort', onAbort)
+
+      entry.promise.then(user => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(user)
+      }, err => {
+        signal.removeEventListener('abort', onAbort)
+        reject(err)
+      })
+    })
+  }
+
+  // a user or all of them without id
+  invalidate (id) {
+    if (id === undefined) this.entries.clear()
+    else this.entries.delete(String(id))
+  }
+
+  resetStats () {
+    this.stats = {hits: 0, deduplicated: 0, misses: 0}
+  }
+}
+
 // I need to wrap all the functions just for test purpose, cause can't use sinon.mock() otherwise
 const ConversationSummaries = {
 
-  showError (message) {
-    console.error(message)
+  // optional hook called with the message and the ApiError of every failed request, e.g. console.error
+  showError: null,
+
+  // Retries of GET requests on 5xx, 429, network errors and timeouts. The delay is baseDelay * factor ^ retry
+  // (not more than maxDelay) reduced by a random part of up to jitter, or the Retry-After of the response.
+  // Retry-After over maxRetryAfter isn't waited for, the error is thrown instead
+  retry: {
+    attempts: 3,
+    baseDelay: 200,
+    factor: 2,
+    maxDelay: 5000,
+    jitter: 0.5,
+    maxRetryAfter: 60000
+  },
+
+  // ms of a single attempt of getData and of the whole getRecentConversationSummaries
+  timeouts: {
+    request: 10000,
+    total: 30000
   },
 
-  onError (response) {
-    switch (response.status) {
-      case ERRORS.badRequest:
-        return this.showError('Bad request')
-      case ERRORS.notFound:
-        return this.showError('Not found')
-      case ERRORS.methodNotAllowed:
-        return this.showError('Method not allowed')
-      case ERRORS.internalServerError:
-        return this.showError('Internal server error')
-      case ERRORS.serviceUnavailable:
-        return this.showError('Service unavailable')
-      default:
-        return this.showError('Unknown error')
+  // injected in the tests, the module fetch is looked up on every call so it could be replaced as well
+  fetch: (...args) => fetch(...args),
+  timers: {setTimeout, clearTimeout},
+  clock: Date.now,
+  random: Math.random,
+
+  userCache: new UserCache(),
+
+  // requests in flight of getMessagesForConversations and mapResult
+  concurrency: 8,
+
+  // JSON body if it's JSON, text otherwise
+  async readBody (response) {
+    if (typeof response.text !== 'function') return undefined
+
+    const text = await response.text().catch(() => undefined)
+    try {
+      return JSON.parse(text)
+    } catch (err) {
+      return text
     }
   },
 
+  async onError (response, {url, method} = {}) {
+    const message = ERROR_MESSAGES[response.status] || 'Unknown error'
+    const error = new ApiError(message, {status: response.status, url, method, body: await this.readBody(response)})
+    if (this.showError) this.showError(message, error)
+
+    return error
+  },
+
+  // Retry-After is either seconds or an HTTP date, NaN if there's none
+  getRetryAfter (response) {
+    const value = response.headers && typeof response.headers.get === 'function' && response.headers.get('retry-after')
+    if (!value) return NaN
+    if (/^\d+$/.test(value.trim())) return value * 1000
+
+    return Math.max(0, Date.parse(value) - this.clock())
+  },
+
+  getRetryDelay (retry) {
+    const {baseDelay, factor, maxDelay, jitter} = this.retry
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, retry))
+
+    return delay - delay * jitter * this.random()
+  },
+
+  sleep (ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(getAbortError(signal))
+
+      const onAbort = () => {
+        this.timers.clearTimeout(timer)
+        reject(getAbortError(signal))
+      }
+      const timer = this.timers.setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort)
+        resolve()
+      }, ms)
+      if (signal) signal.addEventListener('abort', onAbort)
+    })
+  },
+
+  // Settles with fn(fetchSignal), with TimeoutError after timeout ms or with the abort error of the signal.
+  // fetchSignal is aborted on the rejection, so the fetch is cancelled
+  withDeadline (fn, {signal, timeout = Infinity, url} = {}) {
+    if (signal && signal.aborted) return Promise.reject(getAbortError(signal))
+
+    const controller = new AbortController()
+    return new Promise((resolve, reject) => {
+      let isSettled = false
+      let timer = null
+
+      const settle = (callback, value) => {
+        if (isSettled) return
+        isSettled = true
+        if (timer !== null) this.timers.clearTimeout(timer)
+        if (signal) signal.removeEventListener('abort', onAbort)
+        if (callback === reject) controller.abort()
+        callback(value)
+      }
+      const onAbort = () => settle(reject, getAbortError(signal))
+
+      if (Number.isFinite(timeout)) {
+        timer = this.timers.setTimeout(() => settle(reject, new TimeoutError(`Request timed out after ${timeout}ms`, {timeout, url})), timeout)
+      }
+      if (signal) signal.addEventListener('abort', onAbort)
+
+      Promise.resolve()
+        .then(() => fn(controller.signal))
+        .then(value => settle(resolve, value), err => settle(reject, err))
+    })
+  },
+
+  // Every attempt is limited by timeouts.request, signal aborts the request along with the retries.
   // let's enable CORS for jsfiddle
-  async getData (url, options = {mode: 'cors'}) {
+  async getData (url, options = {}) {
     if (!url) throw new Error('Url should be provided')
 
-    return fetch(`${API_BASE_URL}/${url}`, options).then(response => {
-      if (!response.ok) return this.onError(response)
+    const {signal, ...fetchOptions} = Object.assign({mode: 'cors'}, options)
+    const fullUrl = `${API_BASE_URL}/${url}`
+    const method = (fetchOptions.method || 'GET').toUpperCase()
+    const attempts = RETRY_METHODS.includes(method) ? this.retry.attempts : 1
+
+    // the rejections of fetch are network errors, the rest (e.g. invalid JSON of the body) aren't retried
+    const request = fetchSignal => this.fetch(fullUrl, Object.assign({}, fetchOptions, {signal: fetchSignal}))
+      .then(async response => response.ok ? {response, data: await response.json()} : {response}, error => ({error}))
+
+    for (let attempt = 1; ; attempt++) {
+      let result
+      try {
+        result = await this.withDeadline(request, {signal, timeout: this.timeouts.request, url: fullUrl})
+      } catch (err) {
+        if (!(err instanceof TimeoutError)) throw err
+        result = {error: err}
+      }
+
+      const {response, data, error} = result
+      if (error) {
+        // network error or timeout of the attempt
+        if (attempt >= attempts || (signal && signal.aborted)) throw error
+        await this.sleep(this.getRetryDelay(attempt - 1), signal)
+        continue
+      }
+      if (response.ok) return data
 
-      return response.json()
-    })
+      const retryAfter = this.getRetryAfter(response)
+      const isRetried = attempt < attempts && RETRY_STATUSES.includes(response.status) && !(retryAfter > this.retry.maxRetryAfter)
+      if (!isRetried) throw await this.onError(response, {url: fullUrl, method})
+
+      await this.sleep(Number.isNaN(retryAfter) ? this.getRetryDelay(attempt - 1) : retryAfter, signal)
+    }
   },
 
-  async getConversations () {
-    return this.getData('conversations')
+  async getConversations ({signal} = {}) {
+    return this.getData('conversations', {signal})
   },
 
-  async getMessages (id) {
+  async getMessages (id, {signal} = {}) {
     if (!Number.isFinite(+id)) throw new Error('Invalid id provided')
 
-    return this.getData(`/conversations/${id}/messages`)
+    return this.getData(`/conversations/${id}/messages`, {signal})
   },
 
-  async getUser (id) {
+  async getUser (id, {signal} = {}) {
     if (!Number.isFinite(+id)) throw new Error('Invalid id provided')
 
-    return this.getData(`/users/${id}`)
+    return this.getData(`/users/${id}`, {signal})
   },
 
-  async getMessagesForConversations (conversations) {
+  async getMessagesForConversations (conversations, {signal, concurrency = this.concurrency, partial = false} = {}) {
     if (!Array.isArray(conversations)) throw new Error('Conversations should be an array')
 
-    return Promise.all(conversations.map(async (v) => ({
+    return mapConcurrently(conversations, concurrency, v => settleConversation(v.id, async () => ({
       id: v.id,
-      messages: await this.getMessages(v.id)
-    })))
+      messages: await this.getMessages(v.id, {signal})
+    }), {signal, partial}))
   },
 
+  // the failed conversations of the partial mode are passed as they are
   getLatestMessages (messages) {
     if (!Array.isArray(messages)) throw new Error('messages should be an array')
 
-    return messages.map(v => ({id: v.id, latest_message: v.messages[0]}))
+    return messages.map(v => v.error ? v : {id: v.id, latest_message: v.messages[0]})
   },
 
-  async mapResult (messages) {
+  // the request of the user is aborted once all the callers of the user in flight abort
+  async getCachedUser (id, {signal} = {}) {
+    return this.userCache.get(id, userSignal => this.getUser(id, {signal: userSignal}), {signal})
+  },
+
+  async mapResult (messages, {signal, concurrency = this.concurrency, partial = false} = {}) {
     if (!Array.isArray(messages)) throw new Error('messages should be an array')
 
-    return Promise.all(messages.map(async (v) => {
-      const {id, avatar_url} = await this.getUser(v.latest_message.from_user_id)
+    return mapConcurrently(messages, concurrency, v => v.error ? v : settleConversation(v.id, async () => {
+      const {id, avatar_url} = await this.getCachedUser(v.latest_message.from_user_id, {signal})
 
       return {
         id: v.id,
@@ -119,7 +454,7 @@ const ConversationSummaries = {
           from_user: {id, avatar_url}
         }
       }
-    }))
+    }, {signal, partial}))
   },
 
   getTimeStamp (str) {
@@ -130,13 +465,36 @@ const ConversationSummaries = {
     return date.getTime()
   },
 
-  async getRecentConversationSummaries () {
-    const conversations = await this.getConversations()
-    const messages = await this.getMessagesForConversations(conversations)
-    const latestMessages = this.getLatestMessages(messages)
-    const result = await this.mapResult(latestMessages)
+  // Rejects with AbortError once the signal of the caller aborts and with TimeoutError after timeout ms.
+  // The requests still in flight are cancelled then, as well as after a failed request.
+  // With partial the failed conversations don't reject the summaries: {summaries, errors: [{id, error}]} is returned
+  async getRecentConversationSummaries ({signal, timeout = this.timeouts.total, concurrency = this.concurrency, partial = false} = {}) {
+    if (signal && signal.aborted) throw getAbortError(signal)
+
+    const scope = createAbortSignal()
+    const onAbort = () => scope.abort(new AbortError())
+    const timer = Number.isFinite(timeout)
+      ? this.timers.setTimeout(() => scope.abort(new TimeoutError(`Summaries timed out after ${timeout}ms`, {timeout})), timeout)
+      : null
+    if (signal) signal.addEventListener('abort', onAbort)
 
-    return result.sort((a, b) => new Date(this.getTimeStamp(b.latest_message.created_at) - this.getTimeStamp(a.latest_message.created_at)))
+    try {
+      const options = {signal: scope, concurrency, partial}
+      const conversations = await this.getConversations({signal: scope})
+      const messages = await this.getMessagesForConversations(conversations, options)
+      const latestMessages = this.getLatestMessages(messages)
+      const result = await this.mapResult(latestMessages, options)
+
+      const summaries = result.filter(v => !v.error)
+        .sort((a, b) => new Date(this.getTimeStamp(b.latest_message.created_at) - this.getTimeStamp(a.latest_message.created_at)))
+      if (!partial) return summaries
+
+      return {summaries, errors: result.filter(v => v.error).map(({id, error}) => ({id, error}))}
+    } finally {
+      if (timer !== null) this.timers.clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', onAbort)
+      scope.abort(new AbortError())
+    }
   }
 }
 
@@ -227,6 +585,11 @@ describe('getRecentConversationSummaries()', () => {
 // Unit tests
 describe('Unit tests.', () => {
 
+  beforeEach(() => ConversationSummaries.userCache.invalidate())
+
+  // getUser of the cache gets the signal of its request
+  const userArgs = sinon.match.has('signal', sinon.match.has('aborted', false))
+
   async function getAsyncErrorMessage (method, ...rest) {
     try {
       await ConversationSummaries[method](...rest)
@@ -237,171 +600,485 @@ describe('Unit tests.', () => {
     throw new Error('Method didn\'t fires any errors')
   }
 
-  describe('showError.', () => {
-    it('should return error to the console', () => {
-      let isConsoleFired = false
+  describe('onError.', () => {
+
+    function createResponse (status, body) {
+      return {status, ok: false, text: async () => body}
+    }
+
+    it('should return ApiError with the status, url, method and body', async () => {
+      const request = {url: `${API_BASE_URL}/conversations/1/messages`, method: 'GET'}
 
-      console.error = function () {
-        isConsoleFired = true
+      const error = await ConversationSummaries.onError(createResponse(ERRORS.notFound, '{"error":"no conversation"}'), request)
+
+      expect(error).to.be.instanceof(ApiError)
+      expect(error).to.include({name: 'ApiError', message: 'Not found', status: 404, url: request.url, method: 'GET'})
+      expect(error.body).to.be.deep.equal({error: 'no conversation'})
+    })
+
+    it('should return proper messages', async () => {
+      const statuses = [
+        ERRORS.badRequest,
+        ERRORS.notFound,
+        ERRORS.methodNotAllowed,
+        ERRORS.internalServerError,
+        ERRORS.serviceUnavailable,
+        666
+      ]
+
+      const errors = await Promise.all(statuses.map(status => ConversationSummaries.onError(createResponse(status, 'oops'))))
+
+      expect(errors.map(v => v.message)).to.be.deep.equal([
+        'Bad request',
+        'Not found',
+        'Method not allowed',
+        'Internal server error',
+        'Service unavailable',
+        'Unknown error'
+      ])
+      expect(errors.map(v => v.body)).to.be.deep.equal(statuses.map(() => 'oops'))
+    })
+
+    it('should call showError hook if it\'s set', async () => {
+      const calls = []
+      ConversationSummaries.showError = (message, error) => calls.push([message, error.status])
+
+      try {
+        await ConversationSummaries.onError(createResponse(ERRORS.serviceUnavailable))
+      } finally {
+        ConversationSummaries.showError = null
       }
 
-      expect(isConsoleFired).to.be.false
-      ConversationSummaries.showError()
-      expect(isConsoleFired).to.be.true
+      expect(calls).to.be.deep.equal([['Service unavailable', ERRORS.serviceUnavailable]])
     })
+
   })
 
-  describe('onError.', () => {
+  describe('getData.', () => {
 
-    it('should return badRequest message', () => {
-      const mock = sinon.mock(ConversationSummaries)
-      const response = {
-        status: ERRORS.badRequest
-      }
+    it('should throw an error when no url provided', async () => {
+      const message3 = await getAsyncErrorMessage('getData')
+      expect(message3).to.be.equal('Url should be provided')
+    })
 
-      const expectedResult = 'Bad request'
+    it('should call fetch with provided args', async () => {
+      const url = 'some.com'
+      const options = {some: 'some'}
 
-      mock.expects('showError').withExactArgs(expectedResult).once()
+      //dirty hack to mock fetch toth for nodejs and browser
+      let calledUrl = ''
+      let calledOptions = ''
+      fetch = async function (url, options = {mode: 'cors'}) {
+        calledUrl = url
+        calledOptions = options
 
-      ConversationSummaries.onError(response)
+        return {
+          ok: true, json () {
+          }
+        }
+      }
 
-      mock.verify()
-      mock.restore()
+      const expectedUrl = `${API_BASE_URL}/${url}`
+
+      await ConversationSummaries.getData(url, options)
+
+      expect(calledUrl).to.be.equal(expectedUrl)
+      expect(calledOptions).to.include(Object.assign({mode: 'cors'}, options))
     })
 
-    it('should return notFound message', () => {
-      const mock = sinon.mock(ConversationSummaries)
-      const response = {
-        status: ERRORS.notFound
+    it('should reject with ApiError in case of bad response', async () => {
+      //dirty hack to mock fetch toth for nodejs and browser
+      fetch = async function (url, options) {
+        return {
+          ok: false,
+          status: ERRORS.serviceUnavailable,
+          json () {
+          }
+        }
       }
 
-      const expectedResult = 'Not found'
+      const error = await ConversationSummaries.getData('some', {method: 'POST'}).catch(err => err)
 
-      mock.expects('showError').withExactArgs(expectedResult).once()
+      expect(error).to.be.instanceof(ApiError)
+      expect(error).to.include({status: ERRORS.serviceUnavailable, url: `${API_BASE_URL}/some`, method: 'POST'})
+    })
 
-      ConversationSummaries.onError(response)
+  })
 
-      mock.verify()
-      mock.restore()
+  describe('getData retries.', () => {
+    const http = require('http')
+    const nodeFetch = require('node-fetch')
+
+    // every request gets the next of the responses, the last one is repeated. The requests of {hang: true}
+    // aren't answered
+    let responses = []
+    let requests = []
+    let hungRequests = []
+    let delays = []
+    let server = null
+    const defaults = {
+      fetch: ConversationSummaries.fetch,
+      timers: ConversationSummaries.timers,
+      clock: ConversationSummaries.clock,
+      random: ConversationSummaries.random,
+      timeouts: ConversationSummaries.timeouts
+    }
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`)
+        const {hang, status, headers = {}, body = ''} = responses[Math.min(requests.length, responses.length) - 1]
+        if (hang) return hungRequests.push(req)
+
+        res.writeHead(status, Object.assign({'Content-Type': 'application/json'}, headers))
+        res.end(body)
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
     })
 
-    it('should return methodNotAllowed message', () => {
-      const mock = sinon.mock(ConversationSummaries)
-      const response = {
-        status: ERRORS.methodNotAllowed
-      }
+    after(() => server.close())
+
+    beforeEach(() => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`
+      responses = []
+      requests = []
+      hungRequests = []
+      delays = []
+      Object.assign(ConversationSummaries, {
+        fetch: (url, options) => nodeFetch(url.replace(API_BASE_URL, baseUrl), options),
+        timers: {setTimeout: (fn, ms) => { delays.push(ms); return setImmediate(fn) }, clearTimeout: clearImmediate},
+        random: () => 1,
+        timeouts: {request: Infinity, total: Infinity}
+      })
+    })
 
-      const expectedResult = 'Method not allowed'
+    afterEach(() => {
+      Object.assign(ConversationSummaries, defaults)
+      // the requests left behind
+      hungRequests.forEach(req => req.socket.destroy())
+    })
 
-      mock.expects('showError').withExactArgs(expectedResult).once()
+    it('should retry 5xx and 429 responses with exponential backoff and jitter', async () => {
+      responses = [{status: 503}, {status: 429}, {status: 200, body: '[1]'}]
+      ConversationSummaries.random = () => 0.5
 
-      ConversationSummaries.onError(response)
+      const result = await ConversationSummaries.getData('conversations')
 
-      mock.verify()
-      mock.restore()
+      expect(result).to.be.deep.equal([1])
+      expect(requests).to.be.deep.equal(['GET /conversations', 'GET /conversations', 'GET /conversations'])
+      expect(delays).to.be.deep.equal([200 * 0.75, 400 * 0.75])
     })
 
-    it('should return internalServerError message', () => {
-      const mock = sinon.mock(ConversationSummaries)
-      const response = {
-        status: ERRORS.internalServerError
+    it('should stop after the maximum number of attempts', async () => {
+      responses = [{status: 502, body: '{"error":"bad gateway"}'}]
+
+      const error = await ConversationSummaries.getData('conversations').catch(err => err)
+
+      expect(error).to.be.instanceof(ApiError)
+      expect(error).to.include({status: 502, message: 'Unknown error'})
+      expect(error.body).to.be.deep.equal({error: 'bad gateway'})
+      expect(requests.length).to.be.equal(ConversationSummaries.retry.attempts)
+      expect(delays).to.be.deep.equal([100, 200])
+    })
+
+    it('should not delay more than maxDelay', async () => {
+      responses = [{status: 500}]
+      const retry = ConversationSummaries.retry
+      ConversationSummaries.retry = Object.assign({}, retry, {attempts: 5, maxDelay: 1000, jitter: 0})
+
+      try {
+        await ConversationSummaries.getData('conversations').catch(err => err)
+      } finally {
+        ConversationSummaries.retry = retry
       }
 
-      const expectedResult = 'Internal server error'
+      expect(delays).to.be.deep.equal([200, 400, 800, 1000])
+    })
 
-      mock.expects('showError').withExactArgs(expectedResult).once()
+    it('should honor Retry-After', async () => {
+      const now = Date.UTC(2020, 0, 1)
+      ConversationSummaries.clock = () => now
+      responses = [
+        {status: 503, headers: {'Retry-After': '2'}},
+        {status: 429, headers: {'Retry-After': new Date(now + 30000).toUTCString()}},
+        {status: 200, body: '{}'}
+      ]
 
-      ConversationSummaries.onError(response)
+      await ConversationSummaries.getData('conversations')
 
-      mock.verify()
-      mock.restore()
+      expect(delays).to.be.deep.equal([2000, 30000])
     })
 
-    it('should return serviceUnavailable message', () => {
-      const mock = sinon.mock(ConversationSummaries)
-      const response = {
-        status: ERRORS.serviceUnavailable
-      }
+    it('should not wait for Retry-After over maxRetryAfter', async () => {
+      responses = [{status: 503, headers: {'Retry-After': '3600'}}]
 
-      const expectedResult = 'Service unavailable'
+      const error = await ConversationSummaries.getData('conversations').catch(err => err)
 
-      mock.expects('showError').withExactArgs(expectedResult).once()
+      expect(error.status).to.be.equal(ERRORS.serviceUnavailable)
+      expect(requests.length).to.be.equal(1)
+    })
 
-      ConversationSummaries.onError(response)
+    it('should not retry 4xx responses and other methods', async () => {
+      responses = [{status: 404}]
+      const notFound = await ConversationSummaries.getData('users/1').catch(err => err)
 
-      mock.verify()
-      mock.restore()
+      responses = [{status: 503}]
+      const unavailable = await ConversationSummaries.getData('conversations', {method: 'POST'}).catch(err => err)
+
+      expect([notFound.status, unavailable.status]).to.be.deep.equal([ERRORS.notFound, ERRORS.serviceUnavailable])
+      expect(requests).to.be.deep.equal(['GET /users/1', 'POST /conversations'])
+      expect(delays).to.be.deep.equal([])
     })
 
-    it('should return unknown error message', () => {
-      const mock = sinon.mock(ConversationSummaries)
-      const response = {
-        status: 666
-      }
+    it('should retry network errors', async () => {
+      responses = [{status: 200, body: '"ok"'}]
+      let failures = 1
+      const fetchServer = ConversationSummaries.fetch
+      ConversationSummaries.fetch = (url, options) => failures-- > 0 ? Promise.reject(new Error('ECONNRESET')) : fetchServer(url, options)
 
-      const expectedResult = 'Unknown error'
+      expect(await ConversationSummaries.getData('conversations')).to.be.equal('ok')
+      expect(delays).to.be.deep.equal([100])
 
-      mock.expects('showError').withExactArgs(expectedResult).once()
+      failures = 3
+      const error = await ConversationSummaries.getData('conversations').catch(err => err)
+      expect(error.message).to.be.equal('ECONNRESET')
+    })
 
-      ConversationSummaries.onError(response)
+    it('should not retry invalid bodies and programming errors', async () => {
+      responses = [{status: 200, body: '{'}]
+      const bodyError = await ConversationSummaries.getData('conversations').catch(err => err)
 
-      mock.verify()
-      mock.restore()
+      ConversationSummaries.fetch = () => { throw new TypeError('fetch is not a function') }
+      const typeError = await ConversationSummaries.getData('conversations').catch(err => err)
+
+      expect(bodyError).to.include({type: 'invalid-json'})
+      expect(typeError).to.be.instanceof(TypeError)
+      expect(requests.length).to.be.equal(1)
+      expect(delays).to.be.deep.equal([])
     })
 
-  })
+    it('should tear down the aborted request', async () => {
+      responses = [{hang: true}]
+      const signal = createAbortSignal()
 
-  describe('getData.', () => {
+      const data = ConversationSummaries.getData('conversations', {signal}).catch(err => err)
+      while (!hungRequests.length) await new Promise(resolve => setImmediate(resolve))
+      const closed = new Promise(resolve => hungRequests[0].socket.on('close', resolve))
+      signal.abort()
 
-    it('should throw an error when no url provided', async () => {
-      const message3 = await getAsyncErrorMessage('getData')
-      expect(message3).to.be.equal('Url should be provided')
+      expect(await data).to.be.instanceof(AbortError)
+      await closed
     })
+  })
 
-    it('should call fetch with provided args', async () => {
-      const url = 'some.com'
-      const options = {some: 'some'}
+  describe('requests of the summaries.', () => {
+    const defaults = {fetch: ConversationSummaries.fetch, timeouts: ConversationSummaries.timeouts, retry: ConversationSummaries.retry}
+    const users = {1: {id: 1, avatar_url: 'a.png'}, 2: {id: 2, avatar_url: 'b.png'}}
 
-      //dirty hack to mock fetch toth for nodejs and browser
-      let calledUrl = ''
-      let calledOptions = ''
-      fetch = async function (url, options = {mode: 'cors'}) {
-        calledUrl = url
-        calledOptions = options
+    // the API of the integration test, the requests of the hung urls are never answered
+    let requests = []
+    function mockApi (hungUrls = []) {
+      ConversationSummaries.fetch = (url, options) => {
+        const path = url.replace(`${API_BASE_URL}/`, '').replace(/^\//, '')
+        requests.push({path, signal: options.signal})
+        if (hungUrls.includes(path)) return new Promise(() => {})
 
-        return {
-          ok: true, json () {
-          }
-        }
+        const [, id] = path.split('/')
+        const data = path.startsWith('users') ? users[id]
+          : path.startsWith('conversations/') ? [{id: `m${id}`, body: 'hi', created_at: `2020-01-0${id}T00:00:00Z`, from_user_id: id}]
+            : [{id: '1'}, {id: '2'}]
+
+        return Promise.resolve({ok: true, json: async () => data})
       }
+    }
 
-      const expectedUrl = `${API_BASE_URL}/${url}`
+    // resolves once the requests of the urls are sent
+    async function waitForRequests (count) {
+      while (requests.length < count) await new Promise(resolve => setImmediate(resolve))
+    }
 
-      await ConversationSummaries.getData(url, options)
+    beforeEach(() => {
+      requests = []
+      Object.assign(ConversationSummaries, {
+        timeouts: {request: 1000, total: 1000},
+        retry: Object.assign({}, defaults.retry, {attempts: 1})
+      })
+    })
 
-      expect(calledUrl).to.be.equal(expectedUrl)
-      expect(calledOptions).to.be.deep.equal(options)
+    afterEach(() => Object.assign(ConversationSummaries, defaults))
+
+    it('should reject a hung request with TimeoutError', async () => {
+      mockApi(['users/1'])
+      ConversationSummaries.timeouts.request = 20
+
+      const error = await ConversationSummaries.getUser(1).catch(err => err)
+
+      expect(error).to.be.instanceof(TimeoutError)
+      expect(error).to.include({message: 'Request timed out after 20ms', timeout: 20, url: `${API_BASE_URL}//users/1`})
+      expect(requests[0].signal.aborted).to.be.equal(true)
     })
 
-    it('should call onError in case of bad response', async () => {
-      const mock = sinon.mock(ConversationSummaries)
+    it('should retry the timed out requests', async () => {
+      mockApi(['users/1'])
+      Object.assign(ConversationSummaries, {
+        timeouts: {request: 20, total: 1000},
+        retry: Object.assign({}, defaults.retry, {attempts: 2, baseDelay: 0})
+      })
+      const fetchApi = ConversationSummaries.fetch
+      ConversationSummaries.fetch = (url, options) => requests.length ? fetchApi(url.replace('users/1', 'users/2'), options) : fetchApi(url, options)
+
+      expect(await ConversationSummaries.getUser(1)).to.be.deep.equal(users[2])
+      expect(requests.map(v => v.path)).to.be.deep.equal(['users/1', 'users/2'])
+    })
 
-      //dirty hack to mock fetch toth for nodejs and browser
-      fetch = async function (url, options) {
-        return {
-          ok: false, json () {
-          }
-        }
+    it('should cancel the requests in flight when the signal aborts', async () => {
+      mockApi(['users/1', 'users/2'])
+      const signal = createAbortSignal()
+
+      const summaries = ConversationSummaries.getRecentConversationSummaries({signal}).catch(err => err)
+      await waitForRequests(5)
+      signal.abort()
+      const error = await summaries
+
+      expect(error).to.be.instanceof(AbortError)
+      expect(error.message).to.be.equal('Aborted')
+      expect(requests.slice(3).map(v => v.signal.aborted)).to.be.deep.equal([true, true])
+    })
+
+    it('should not send requests with an aborted signal', async () => {
+      mockApi()
+      const signal = createAbortSignal()
+      signal.abort()
+
+      const error = await ConversationSummaries.getRecentConversationSummaries({signal}).catch(err => err)
+      const dataError = await ConversationSummaries.getData('conversations', {signal}).catch(err => err)
+
+      expect(error).to.be.instanceof(AbortError)
+      expect(dataError).to.be.instanceof(AbortError)
+      expect(requests.length).to.be.equal(0)
+    })
+
+    it('should reject with TimeoutError after the overall timeout', async () => {
+      mockApi(['conversations/2/messages'])
+
+      const error = await ConversationSummaries.getRecentConversationSummaries({timeout: 30}).catch(err => err)
+
+      expect(error).to.be.instanceof(TimeoutError)
+      expect(error).to.include({message: 'Summaries timed out after 30ms', timeout: 30})
+      expect(requests[2].signal.aborted).to.be.equal(true)
+    })
+
+    it('should cancel the rest of the requests after a failed one', async () => {
+      mockApi(['conversations/2/messages'])
+      const fetchApi = ConversationSummaries.fetch
+      ConversationSummaries.fetch = (url, options) => url.endsWith('conversations/1/messages')
+        ? Promise.resolve({ok: false, status: ERRORS.notFound})
+        : fetchApi(url, options)
+
+      const error = await ConversationSummaries.getRecentConversationSummaries().catch(err => err)
+
+      expect(error.status).to.be.equal(ERRORS.notFound)
+      expect(requests[1].signal.aborted).to.be.equal(true)
+    })
+
+    it('should return the summaries in time', async () => {
+      mockApi()
+
+      const result = await ConversationSummaries.getRecentConversationSummaries()
+
+      expect(result.map(v => [v.id, v.latest_message.from_user.avatar_url])).to.be.deep.equal([['2', 'b.png'], ['1', 'a.png']])
+    })
+
+    it('should return the errors of the conversations in the partial mode', async () => {
+      mockApi()
+      const fetchApi = ConversationSummaries.fetch
+      ConversationSummaries.fetch = (url, options) => url.endsWith('conversations/1/messages')
+        ? Promise.resolve({ok: false, status: ERRORS.notFound})
+        : fetchApi(url, options)
+
+      const {summaries, errors} = await ConversationSummaries.getRecentConversationSummaries({partial: true})
+
+      expect(summaries.map(v => v.id)).to.be.deep.equal(['2'])
+      expect(errors.map(v => [v.id, v.error.status])).to.be.deep.equal([['1', ERRORS.notFound]])
+    })
+
+    it('should return the errors of the users in the partial mode', async () => {
+      mockApi()
+      const fetchApi = ConversationSummaries.fetch
+      ConversationSummaries.fetch = (url, options) => url.endsWith('users/2') ? Promise.reject(new Error('ECONNRESET')) : fetchApi(url, options)
+
+      const {summaries, errors} = await ConversationSummaries.getRecentConversationSummaries({partial: true})
+
+      expect(summaries.map(v => v.id)).to.be.deep.equal(['1'])
+      expect(errors.map(v => [v.id, v.error.message])).to.be.deep.equal([['2', 'ECONNRESET']])
+    })
+
+    it('should reject the aborted summaries in the partial mode', async () => {
+      mockApi(['users/1'])
+
+      const error = await ConversationSummaries.getRecentConversationSummaries({partial: true, timeout: 30}).catch(err => err)
+
+      expect(error).to.be.instanceof(TimeoutError)
+    })
+  })
+
+  describe('mapConcurrently.', () => {
+    // fn of the items resolved in the reversed order
+    function createFn (log) {
+      let active = 0
+      const fn = async (item, index) => {
+        active++
+        log.maxActive = Math.max(log.maxActive, active)
+        log.started.push(item)
+        for (let i = 0; i < 10 - index; i++) await new Promise(resolve => setImmediate(resolve))
+        active--
+        if (item === 'fail') throw new Error('Failed')
+        return item * 2
       }
 
-      mock.expects('onError').withArgs({json: sinon.match.func, ok: false}).once()
+      return fn
+    }
 
-      await ConversationSummaries.getData('some')
+    it('should keep the order with not more than concurrency calls in flight', async () => {
+      const log = {maxActive: 0, started: []}
 
-      mock.verify()
-      mock.restore()
+      const result = await mapConcurrently([1, 2, 3, 4, 5, 6, 7], 3, createFn(log))
+
+      expect(result).to.be.deep.equal([2, 4, 6, 8, 10, 12, 14])
+      expect(log.maxActive).to.be.equal(3)
     })
 
+    it('should not start calls after a rejection', async () => {
+      const log = {maxActive: 0, started: []}
+
+      const error = await mapConcurrently([1, 'fail', 3, 4, 5], 2, createFn(log)).catch(err => err)
+
+      expect(error.message).to.be.equal('Failed')
+      expect(log.started).to.be.deep.equal([1, 'fail'])
+    })
+
+    it('should limit the requests of getMessagesForConversations', async () => {
+      const log = {maxActive: 0, started: []}
+      const getMessages = createFn(log)
+      const stub = sinon.stub(ConversationSummaries, 'getMessages').callsFake(id => getMessages(id, 0))
+      const conversations = Array.from({length: 20}, (v, i) => ({id: i}))
+
+      try {
+        await ConversationSummaries.getMessagesForConversations(conversations, {concurrency: 4})
+      } finally {
+        stub.restore()
+      }
+
+      expect(log.maxActive).to.be.equal(4)
+      expect(log.started.length).to.be.equal(20)
+    })
+
+    it('should throw an error on incorrect concurrency', async () => {
+      const messages = await Promise.all([0, 1.5, -1, NaN].map(concurrency => mapConcurrently([], concurrency, v => v).catch(err => err.message)))
+
+      expect(messages).to.be.deep.equal(new Array(4).fill('Incorrect concurrency value'))
+      expect(await mapConcurrently([1], Infinity, v => v)).to.be.deep.equal([1])
+    })
   })
 
   describe('getConversations.', () => {
@@ -411,7 +1088,7 @@ describe('Unit tests.', () => {
       const expectedResult = [1, 2, 3]
       const endpointUrl = 'conversations'
 
-      mock.expects('getData').withExactArgs(endpointUrl).returns(expectedResult).once()
+      mock.expects('getData').withExactArgs(endpointUrl, {signal: undefined}).returns(expectedResult).once()
 
       const result = await ConversationSummaries.getConversations()
 
@@ -441,7 +1118,7 @@ describe('Unit tests.', () => {
       const id = 100
       const endpointUrl = `/conversations/${id}/messages`
 
-      mock.expects('getData').withExactArgs(endpointUrl).returns(expectedResult).once()
+      mock.expects('getData').withExactArgs(endpointUrl, {signal: undefined}).returns(expectedResult).once()
 
       const result = await ConversationSummaries.getMessages(id)
 
@@ -471,7 +1148,7 @@ describe('Unit tests.', () => {
       const id = 100
       const endpointUrl = `/users/${id}`
 
-      mock.expects('getData').withExactArgs(endpointUrl).returns(expectedResult).once()
+      mock.expects('getData').withExactArgs(endpointUrl, {signal: undefined}).returns(expectedResult).once()
 
       const result = await ConversationSummaries.getUser(id)
 
@@ -506,10 +1183,10 @@ describe('Unit tests.', () => {
       const conversations = [obj1, obj2]
 
       const expectedMessages1 = [{id: 3}]
-      mock.expects('getMessages').withExactArgs(obj1.id).returns(expectedMessages1).once()
+      mock.expects('getMessages').withExactArgs(obj1.id, {signal: undefined}).returns(expectedMessages1).once()
 
       const expectedMessages2 = [{id: 4}]
-      mock.expects('getMessages').withExactArgs(obj2.id).returns(expectedMessages2).once()
+      mock.expects('getMessages').withExactArgs(obj2.id, {signal: undefined}).returns(expectedMessages2).once()
 
       const expectedResult = [
         {id: obj1.id, messages: expectedMessages1},
@@ -609,8 +1286,8 @@ describe('Unit tests.', () => {
         {id: 4, latest_message: {id: 5, body: 'some2', created_at: new Date(), from_user_id: user2.id}}
       ]
 
-      mock.expects('getUser').withExactArgs(user1.id).returns(user1).once()
-      mock.expects('getUser').withExactArgs(user2.id).returns(user2).once()
+      mock.expects('getUser').withExactArgs(user1.id, userArgs).returns(user1).once()
+      mock.expects('getUser').withExactArgs(user2.id, userArgs).returns(user2).once()
 
       const expectedResult = [
         {
@@ -648,6 +1325,163 @@ describe('Unit tests.', () => {
     })
   })
 
+  describe('UserCache.', () => {
+    function createCache (options) {
+      let now = 0
+      const cache = new UserCache(Object.assign({ttl: 1000, clock: () => now}, options))
+      let calls = 0
+      const load = id => () => {
+        calls++
+        return Promise.resolve({id, call: calls})
+      }
+
+      return {cache, load, tick: ms => { now += ms }, getCalls: () => calls}
+    }
+
+    it('should share the request of a user in flight', async () => {
+      const {cache, load, getCalls} = createCache()
+
+      const users = await Promise.all([cache.get(1, load(1)), cache.get('1', load(1)), cache.get(2, load(2))])
+
+      expect(users).to.be.deep.equal([{id: 1, call: 1}, {id: 1, call: 1}, {id: 2, call: 2}])
+      expect(getCalls()).to.be.equal(2)
+      expect(cache.stats).to.be.deep.equal({hits: 0, deduplicated: 1, misses: 2})
+    })
+
+    it('should reuse the users until ttl expires', async () => {
+      const {cache, load, tick} = createCache()
+      await cache.get(1, load(1))
+
+      tick(999)
+      expect(await cache.get(1, load(1))).to.be.deep.equal({id: 1, call: 1})
+      tick(1)
+      expect(await cache.get(1, load(1))).to.be.deep.equal({id: 1, call: 2})
+      expect(cache.stats).to.be.deep.equal({hits: 1, deduplicated: 0, misses: 2})
+    })
+
+    it('should not cache the failed requests', async () => {
+      const {cache, load} = createCache()
+
+      const error = await cache.get(1, () => Promise.reject(new Error('Not found'))).catch(err => err)
+
+      expect(error.message).to.be.equal('Not found')
+      expect(cache.size).to.be.equal(0)
+      expect(await cache.get(1, load(1))).to.be.deep.equal({id: 1, call: 1})
+    })
+
+    it('should invalidate a user or all of them', async () => {
+      const {cache, load} = createCache()
+      await Promise.all([cache.get(1, load(1)), cache.get(2, load(2))])
+
+      cache.invalidate(1)
+      expect(await cache.get(1, load(1))).to.be.deep.equal({id: 1, call: 3})
+      expect(cache.size).to.be.equal(2)
+
+      cache.invalidate()
+      expect(cache.size).to.be.equal(0)
+    })
+
+    it('should not restore a user invalidated in flight', async () => {
+      const {cache, load} = createCache()
+
+      const user = cache.get(1, load(1))
+      cache.invalidate(1)
+      await user
+
+      expect(cache.size).to.be.equal(0)
+    })
+
+    it('should drop the expired users', async () => {
+      const {cache, load, tick} = createCache()
+      await Promise.all([cache.get(1, load(1)), cache.get(2, load(2))])
+
+      tick(500)
+      await cache.get(3, load(3))
+      expect(cache.size).to.be.equal(3)
+
+      tick(500)
+      await cache.get(4, load(4))
+      expect([...cache.entries.keys()]).to.be.deep.equal(['3', '4'])
+    })
+
+    it('should keep not more than maxSize users', async () => {
+      const {cache, load} = createCache({maxSize: 2})
+
+      await Promise.all([1, 2, 3].map(id => cache.get(id, load(id))))
+
+      expect([...cache.entries.keys()]).to.be.deep.equal(['2', '3'])
+    })
+
+    it('should reject just the aborted caller of a user in flight', async () => {
+      const {cache} = createCache()
+      let resolveUser
+      let loadSignal
+      const load = signal => {
+        loadSignal = signal
+        return new Promise(resolve => { resolveUser = resolve })
+      }
+      const signal = createAbortSignal()
+
+      const first = cache.get(1, load, {signal}).catch(err => err)
+      const second = cache.get(1, load)
+      await Promise.resolve()
+      signal.abort()
+      resolveUser({id: 1})
+
+      expect(await first).to.be.instanceof(AbortError)
+      expect(await second).to.be.deep.equal({id: 1})
+      expect(loadSignal.aborted).to.be.equal(false)
+      expect(cache.size).to.be.equal(1)
+    })
+
+    it('should abort the request once all the callers abort', async () => {
+      const {cache, load} = createCache()
+      let loadSignal
+      const hungLoad = signal => {
+        loadSignal = signal
+        return new Promise(() => {})
+      }
+      const signals = [createAbortSignal(), createAbortSignal()]
+
+      const users = signals.map(signal => cache.get(1, hungLoad, {signal}).catch(err => err))
+      await Promise.resolve()
+      signals[0].abort()
+      expect(loadSignal.aborted).to.be.equal(false)
+      signals[1].abort()
+
+      expect((await Promise.all(users)).map(v => v instanceof AbortError)).to.be.deep.equal([true, true])
+      expect(loadSignal.aborted).to.be.equal(true)
+      expect(cache.size).to.be.equal(0)
+      expect(await cache.get(1, load(1))).to.be.deep.equal({id: 1, call: 1})
+    })
+
+    it('should throw an error on incorrect ttl and maxSize', () => {
+      expect(() => new UserCache({ttl: -1})).to.throw('Incorrect ttl value')
+      expect(() => new UserCache({ttl: NaN})).to.throw('Incorrect ttl value')
+      expect(() => new UserCache({maxSize: 0})).to.throw('Incorrect maxSize value')
+      expect(() => new UserCache({maxSize: 1.5})).to.throw('Incorrect maxSize value')
+    })
+
+    it('should fetch a user of mapResult once', async () => {
+      const mock = sinon.mock(ConversationSummaries)
+      const user = {id: 1, avatar_url: 'some.com/1'}
+      const data = [1, 2, 3].map(id => ({id, latest_message: {id, body: 'some', created_at: 'now', from_user_id: user.id}}))
+
+      mock.expects('getUser').withExactArgs(user.id, userArgs).resolves(user).once()
+      ConversationSummaries.userCache.resetStats()
+
+      const result = await ConversationSummaries.mapResult(data)
+      // the next run gets the cached user
+      await ConversationSummaries.mapResult(data)
+
+      expect(result.map(v => v.latest_message.from_user)).to.be.deep.equal([user, user, user])
+      expect(ConversationSummaries.userCache.stats).to.be.deep.equal({hits: 3, deduplicated: 2, misses: 1})
+
+      mock.verify()
+      mock.restore()
+    })
+  })
+
   describe('getTimeStamp.', () => {
 
     it('should throw an error when argument isn\'t a string', () => {
@@ -681,6 +1515,8 @@ describe('Unit tests.', () => {
   })
 
   describe('getRecentConversationSummaries.', () => {
+    // the methods get the signal of the summaries
+    const scopeArgs = sinon.match.has('signal', sinon.match.has('aborted', false))
 
     it('should call methods with proper args', async () => {
       const mock = sinon.mock(ConversationSummaries)
@@ -689,10 +1525,10 @@ describe('Unit tests.', () => {
       const expectedMessages = [2]
       const expectedLatestMessage = [3]
       const expectedResult = [4]
-      mock.expects('getConversations').withExactArgs().returns(expectedConversations).once()
-      mock.expects('getMessagesForConversations').withExactArgs(expectedConversations).returns(expectedMessages).once()
+      mock.expects('getConversations').withExactArgs(scopeArgs).returns(expectedConversations).once()
+      mock.expects('getMessagesForConversations').withExactArgs(expectedConversations, scopeArgs).returns(expectedMessages).once()
       mock.expects('getLatestMessages').withExactArgs(expectedMessages).returns(expectedLatestMessage).once()
-      mock.expects('mapResult').withExactArgs(expectedLatestMessage).returns(expectedResult).once()
+      mock.expects('mapResult').withExactArgs(expectedLatestMessage, scopeArgs).returns(expectedResult).once()
 
       const result = await ConversationSummaries.getRecentConversationSummaries()
 
@@ -706,10 +1542,10 @@ describe('Unit tests.', () => {
       const mock = sinon.mock(ConversationSummaries)
 
       const expectedConversations = [1]
-      mock.expects('getConversations').withExactArgs().returns(expectedConversations).once()
+      mock.expects('getConversations').withExactArgs(scopeArgs).returns(expectedConversations).once()
 
       const expectedMessages = [2]
-      mock.expects('getMessagesForConversations').withExactArgs(expectedConversations).returns(expectedMessages).once()
+      mock.expects('getMessagesForConversations').withExactArgs(expectedConversations, scopeArgs).returns(expectedMessages).once()
 
       const expectedLatestMessage = [3]
       mock.expects('getLatestMessages').withExactArgs(expectedMessages).returns(expectedLatestMessage).once()
@@ -727,7 +1563,7 @@ describe('Unit tests.', () => {
         }
       ]
 
-      mock.expects('mapResult').withExactArgs(expectedLatestMessage).returns(expectedResult.concat([])).once()
+      mock.expects('mapResult').withExactArgs(expectedLatestMessage, scopeArgs).returns(expectedResult.concat([])).once()
 
       const result = await ConversationSummaries.getRecentConversationSummaries()
 
@@ -738,6 +1574,21 @@ describe('Unit tests.', () => {
       mock.restore()
     })
 
+    it('should reject with ApiError of the failed request', async () => {
+      const mock = sinon.mock(ConversationSummaries)
+      const notFound = new ApiError('Not found', {status: ERRORS.notFound})
+
+      mock.expects('getConversations').returns([{id: 1}]).once()
+      mock.expects('getMessages').rejects(notFound).once()
+
+      const error = await ConversationSummaries.getRecentConversationSummaries().catch(err => err)
+
+      expect(error).to.be.equal(notFound)
+
+      mock.verify()
+      mock.restore()
+    })
+
   })
 
 })